@@ -0,0 +1,429 @@
+/**
+ * Choreography Module
+ * Moves the slideshow and fires confetti in time with the background music
+ * @module choreography
+ *
+ * A Web Audio AnalyserNode listens to the music decks and treats sudden peaks
+ * of bass energy as beats: each beat fires a small confetti burst and every
+ * `beatsPerSlide` beats the slideshow moves on. An optional timeline file
+ * scripts the show for one track of the playlist:
+ *
+ *   { "track": 0, "cues": [
+ *     { "time": 12.5, "action": "slide", "index": 2 },
+ *     { "time": 30, "action": "confetti", "count": 120 },
+ *     { "time": 31, "action": "beats", "enabled": false }
+ *   ] }
+ *
+ * Slides only change while the slideshow would autoplay (not paused, hovered
+ * or focused), so the visitor keeps control. Audio routed through Web Audio is
+ * silent when it comes from another site without CORS headers, so tracks
+ * should be served alongside the page.
+ */
+
+import { Emitter } from './emitter.js';
+import { triggerConfetti } from './confetti.js';
+import { loadTimeline } from './config.js';
+
+const DEFAULT_BEATS_PER_SLIDE = 4;
+// How far above the recent average the bass has to jump to count as a beat
+const DEFAULT_SENSITIVITY = 1.4;
+
+// Beat detection
+const BASS_CUTOFF = 150;      // Hz; kick drums and bass lines sit below this
+const MIN_ENERGY = 0.25;      // 0-1; quieter peaks are ignored
+const MIN_BEAT_GAP = 300;     // ms between beats (200 bpm)
+const HISTORY_SIZE = 60;      // frames of energy averaged (about a second)
+
+const BEAT_CONFETTI = 12;
+const CUE_CONFETTI = 60;
+
+// With no beats detected, move on after this many slideshow intervals anyway
+const FALLBACK_INTERVALS = 2;
+
+// Playback jumps (s) larger than this skip the cues in between instead of firing them
+const SEEK_TOLERANCE = 1;
+
+// One audio graph for the page: a media element can only be routed into Web Audio once
+let audioGraph = null;
+const sources = new WeakMap();
+
+/**
+ * Music-driven slideshow and confetti
+ * Events: "beat" ({ energy, count }), "cue" ({ cue }), "destroy"
+ */
+export class Choreographer extends Emitter {
+  /**
+   * @param {Object} options - Choreography options
+   * @param {MusicPlayer} options.player - Music player whose decks are analysed
+   * @param {Slideshow} options.slideshow - Slideshow to drive (optional)
+   * @param {boolean} options.beats - Follow detected beats (default: true)
+   * @param {number} options.beatsPerSlide - Beats between slide changes (default: 4)
+   * @param {boolean} options.confetti - Fire a small burst on each beat (default: true)
+   * @param {number} options.sensitivity - Peak-to-average energy ratio for a beat (default: 1.4)
+   * @param {string} options.timeline - URL of a timeline JSON file (optional)
+   */
+  constructor(options = {}) {
+    super();
+
+    if (!options.player) {
+      throw new Error('Choreographer needs a music player');
+    }
+
+    this.player = options.player;
+    this.slideshow = options.slideshow || null;
+    this.beats = options.beats !== false;
+    this.beatsPerSlide = options.beatsPerSlide || DEFAULT_BEATS_PER_SLIDE;
+    this.confetti = options.confetti !== false;
+    this.sensitivity = options.sensitivity || DEFAULT_SENSITIVITY;
+
+    this.graph = null;
+    this.levels = null;
+    this.frame = null;
+    this.destroyed = false;
+
+    // Beat state
+    this.history = [];
+    this.lastBeat = 0;
+    this.beatCount = 0;
+    this.lastAdvance = performance.now();
+
+    // Timeline state
+    this.timeline = null;
+    this.nextCue = 0;
+    this.lastTime = 0;
+
+    this.unsubscribe = [
+      this.player.on('play', () => this.start()),
+      this.player.on('pause', () => this.stop()),
+      this.player.on('track', () => this.seekTimeline(0)),
+      this.player.on('destroy', () => this.destroy())
+    ];
+    if (this.slideshow) {
+      this.unsubscribe.push(
+        this.slideshow.on('change', () => {
+          this.lastAdvance = performance.now();
+        }),
+        this.slideshow.on('destroy', () => {
+          this.slideshow = null;
+        })
+      );
+    }
+
+    this.ready = options.timeline ? this.fetchTimeline(options.timeline) : Promise.resolve();
+
+    if (this.player.playing) this.start();
+  }
+
+  /**
+   * Load and sort the timeline; a broken file only disables the scripted cues
+   * @param {string} url - Location of the timeline JSON
+   */
+  async fetchTimeline(url) {
+    try {
+      const timeline = await loadTimeline(url, {
+        slideCount: this.slideshow ? this.slideshow.slides.length : Infinity,
+        trackCount: this.player.tracks.length
+      });
+      if (this.destroyed) return;
+
+      this.timeline = {
+        track: timeline.track || 0,
+        cues: [...timeline.cues].sort((a, b) => a.time - b.time)
+      };
+      this.seekTimeline(this.player.activeDeck.currentTime);
+    } catch (error) {
+      console.error(`Error loading music timeline ${url}:`, error);
+    }
+  }
+
+  /**
+   * Start following the music (called when it starts playing)
+   */
+  start() {
+    if (this.destroyed || this.frame !== null) return;
+
+    this.connect();
+    this.lastAdvance = performance.now();
+    this.frame = requestAnimationFrame(() => this.tick());
+    this.syncHold();
+  }
+
+  /**
+   * Stop following the music and hand the slideshow back to its own timer
+   */
+  stop() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.history = [];
+    this.syncHold();
+  }
+
+  /**
+   * Route the music decks through the analyser; only needed for beat detection
+   */
+  connect() {
+    if (!this.beats) return;
+
+    if (!this.graph) {
+      this.graph = getAudioGraph();
+      if (!this.graph) {
+        console.warn('Web Audio is not supported; music beats will not be followed');
+        this.beats = false;
+        return;
+      }
+      this.levels = new Uint8Array(this.graph.analyser.frequencyBinCount);
+    }
+
+    // A deck routed into a suspended context plays silently, so the decks are
+    // only connected once it runs. Contexts created before a user gesture
+    // start suspended; until one resumes, the music plays unanalysed.
+    const { context } = this.graph;
+    if (context.state === 'running') {
+      this.player.decks.forEach(deck => connectDeck(this.graph, deck));
+      return;
+    }
+
+    context.resume()
+      .then(() => {
+        if (this.frame !== null && context.state === 'running') this.connect();
+      })
+      .catch(error => console.warn('Could not start Web Audio:', error));
+  }
+
+  /**
+   * While beats drive the slideshow its own countdown is held
+   */
+  syncHold() {
+    if (this.slideshow) {
+      this.slideshow.hold('music', this.frame !== null && this.beats);
+    }
+  }
+
+  /**
+   * Per-frame work while the music plays
+   */
+  tick() {
+    this.frame = requestAnimationFrame(() => this.tick());
+    const now = performance.now();
+
+    if (this.beats) {
+      this.detectBeat(now);
+
+      // Quiet passages (or audio Web Audio can't read) shouldn't freeze the slideshow
+      if (this.slideshow && now - this.lastAdvance > this.slideshow.options.interval * FALLBACK_INTERVALS) {
+        if (this.canDrive()) this.slideshow.advance();
+        this.lastAdvance = now;
+      }
+    }
+
+    this.runCues();
+  }
+
+  /**
+   * Compare the bass energy of this frame with the last second and flag peaks
+   * @param {number} now - Frame timestamp (ms)
+   */
+  detectBeat(now) {
+    const energy = this.bassEnergy();
+    if (energy === null) return;
+
+    const average = this.history.reduce((sum, value) => sum + value, 0) / (this.history.length || 1);
+    this.history.push(energy);
+    if (this.history.length > HISTORY_SIZE) this.history.shift();
+
+    // Wait for enough history to know what "loud" means for this track
+    if (this.history.length < HISTORY_SIZE / 2) return;
+
+    if (energy > MIN_ENERGY && energy > average * this.sensitivity && now - this.lastBeat > MIN_BEAT_GAP) {
+      this.lastBeat = now;
+      this.handleBeat(energy);
+    }
+  }
+
+  /**
+   * @returns {number|null} Average level of the bass bins (0-1), or null without an analyser
+   */
+  bassEnergy() {
+    if (!this.graph) return null;
+
+    const { analyser, context } = this.graph;
+    analyser.getByteFrequencyData(this.levels);
+
+    const binWidth = context.sampleRate / analyser.fftSize;
+    const bins = Math.max(1, Math.min(this.levels.length, Math.round(BASS_CUTOFF / binWidth)));
+    let sum = 0;
+    for (let i = 0; i < bins; i++) {
+      sum += this.levels[i];
+    }
+    return sum / bins / 255;
+  }
+
+  /**
+   * @param {number} energy - Bass energy of the beat (0-1)
+   */
+  handleBeat(energy) {
+    this.beatCount++;
+    this.emit('beat', { energy, count: this.beatCount });
+
+    if (this.confetti) this.burst(BEAT_CONFETTI);
+
+    if (this.beatCount % this.beatsPerSlide === 0 && this.canDrive()) {
+      this.slideshow.advance();
+    }
+  }
+
+  /**
+   * Fire the timeline cues the playing track has reached
+   */
+  runCues() {
+    if (!this.timeline || this.player.current !== this.timeline.track) return;
+
+    const time = this.player.activeDeck.currentTime;
+    if (time < this.lastTime || time - this.lastTime > SEEK_TOLERANCE) {
+      // Seeked, restarted or the tab was in the background
+      this.seekTimeline(time);
+      return;
+    }
+    this.lastTime = time;
+
+    const { cues } = this.timeline;
+    while (this.nextCue < cues.length && cues[this.nextCue].time <= time) {
+      this.runCue(cues[this.nextCue]);
+      this.nextCue++;
+    }
+  }
+
+  /**
+   * Continue the timeline from a playback position without firing earlier cues
+   * @param {number} time - Position in the track (s)
+   */
+  seekTimeline(time) {
+    this.lastTime = time;
+    if (!this.timeline) return;
+
+    const { cues } = this.timeline;
+    const next = cues.findIndex(cue => cue.time >= time);
+    this.nextCue = next === -1 ? cues.length : next;
+  }
+
+  /**
+   * @param {Object} cue - Timeline cue ({ time, action, index, count, enabled })
+   */
+  runCue(cue) {
+    this.emit('cue', { cue });
+
+    switch (cue.action) {
+      case 'slide':
+        if (this.canDrive()) this.slideshow.goTo(cue.index);
+        break;
+      case 'next':
+        if (this.canDrive()) this.slideshow.advance();
+        break;
+      case 'prev':
+        if (this.canDrive()) this.slideshow.prev();
+        break;
+      case 'confetti':
+        this.burst(cue.count || CUE_CONFETTI);
+        break;
+      case 'beats':
+        this.beats = cue.enabled;
+        this.history = [];
+        this.lastAdvance = performance.now();
+        this.connect();
+        this.syncHold();
+        break;
+      default:
+    }
+  }
+
+  /**
+   * @returns {boolean} True when the slideshow is playing and nothing but the music holds it
+   */
+  canDrive() {
+    if (!this.slideshow || !this.slideshow.playing) return false;
+    return [...this.slideshow.holds].every(reason => reason === 'music');
+  }
+
+  /**
+   * @param {number} count - Number of confetti pieces
+   */
+  burst(count) {
+    // Spread the bursts across the middle of the screen
+    triggerConfetti({ count, x: window.innerWidth * (0.2 + Math.random() * 0.6) });
+  }
+
+  /**
+   * Stop following the music; the audio keeps playing through the shared graph
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.stop();
+    this.destroyed = true;
+    this.unsubscribe.forEach(off => off());
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @returns {Object|null} Shared { context, analyser }, or null without Web Audio
+ */
+function getAudioGraph() {
+  if (audioGraph) return audioGraph;
+
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return null;
+
+  const context = new AudioContext();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  // Little smoothing so peaks stand out from the frames around them
+  analyser.smoothingTimeConstant = 0.3;
+  analyser.connect(context.destination);
+
+  audioGraph = { context, analyser };
+  return audioGraph;
+}
+
+/**
+ * Send a deck through the analyser to the speakers, once per element
+ * @param {Object} graph - Shared audio graph
+ * @param {HTMLAudioElement} deck - Music deck
+ */
+function connectDeck(graph, deck) {
+  if (sources.has(deck)) return;
+
+  try {
+    const source = graph.context.createMediaElementSource(deck);
+    source.connect(graph.analyser);
+    sources.set(deck, source);
+  } catch (error) {
+    console.warn('Could not analyse the music:', error);
+  }
+}
+
+// Page choreography managed by initChoreography()
+let instance = null;
+
+/**
+ * Follow the header music with the page slideshow and confetti
+ * Safe to call again on route changes; the previous choreography is stopped.
+ * @param {Object|undefined} sync - `music.sync` section of the config ({ beats, beatsPerSlide, confetti, sensitivity, timeline })
+ * @param {Object} parts - Page components
+ * @param {MusicPlayer|null} parts.player - Header music player
+ * @param {Slideshow|null} parts.slideshow - Page slideshow
+ * @returns {Choreographer|null} The choreography, or null when the config doesn't ask for one
+ */
+export function initChoreography(sync, { player, slideshow } = {}) {
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  if (!sync || !player || player.tracks.length === 0) return null;
+
+  instance = new Choreographer({ ...sync, player, slideshow });
+  return instance;
+}
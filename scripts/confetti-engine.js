@@ -0,0 +1,662 @@
+/**
+ * Confetti Engine Module
+ * Particle simulation and canvas renderer shared by the page and the confetti worker
+ * @module confetti-engine
+ *
+ * The engine only needs a 2D context, so it draws the same way on a regular
+ * <canvas> and on an OffscreenCanvas inside a worker. It never touches the DOM:
+ * sprite loading is passed in by whoever owns the canvas.
+ *
+ * Performance notes:
+ * - Dead particles go back to a pool and are reused by later bursts
+ * - Vector shapes are drawn in batches: one path and one fill() per colour and
+ *   opacity step, positioned with setTransform() instead of save()/restore()
+ * - The canvas is sized for devicePixelRatio so pieces stay sharp on phones
+ * - When frames run slower than 60 fps, new bursts get fewer particles
+ *
+ * Every trigger() is tracked as its own burst: it ends when its last piece is
+ * gone, or `lifetime` ms after its last piece was released, and reports that
+ * through `onFinish` so overlapping celebrations don't cut each other short.
+ */
+
+// Configuration
+export const CONFIG = {
+  particleCount: 150,
+  duration: 4000, // ms a burst may last once all its pieces are out (per-call `lifetime`)
+  colors: ['#d4a574', '#e8d4b8', '#1e3a5f', '#4caf50', '#2196f3'],
+  shapes: ['circle', 'square'],
+  emoji: ['🎉', '🎂', '🎈', '✨'],
+  gravity: 0.5,
+  windResistance: 0.98,
+  initialVelocityRange: { min: -15, max: -5 },
+  angleRange: { min: -Math.PI / 4, max: -Math.PI * 3 / 4 }
+};
+
+export const SHAPES = ['circle', 'square', 'ribbon', 'star', 'heart', 'emoji', 'image'];
+
+// Ribbons catch the air: they fall slower and drift side to side
+const RIBBON_GRAVITY = 0.35;
+const RIBBON_DRAG = 0.95;
+const RIBBON_SWAY = 0.4;
+
+// Emitter tuning
+const CANNON_SPEED = { min: 16, max: 28 };
+const RAIN_FRAMES = 60;           // frames over which rain pieces appear
+const FIREWORK_SHELLS = 3;
+const FIREWORK_GAP = 25;          // frames between shells
+const FIREWORK_SPEED = { min: 3, max: 9 };
+const FOUNTAIN_DURATION = 2500;   // ms
+const FOUNTAIN_SPEED = { min: 14, max: 20 };
+const FOUNTAIN_SPREAD = Math.PI / 12;
+export const FRAME_TIME = 1000 / 60;
+
+// Rendering
+const ALPHA_STEPS = 10;           // opacity levels particles are batched by
+const EMOJI_FONT_SIZE = 24;       // px; glyphs are scaled from this size
+
+// Adaptive particle budget
+const FRAME_BUDGET = 18;          // ms; a 60 fps frame (16.7 ms) plus jitter
+const MIN_BUDGET = 0.25;
+const BUDGET_DROP = 0.05;
+const BUDGET_RECOVERY = 0.01;
+const MAX_FRAME_DELTA = 100;      // ms; longer gaps (hidden tab) aren't counted
+const MAX_PARTICLES = 1500;
+
+/**
+ * Particle class representing a single confetti piece
+ * Instances are pooled: reset() prepares a recycled piece for a new burst.
+ */
+class Particle {
+  /**
+   * @param {number} x - Initial X position
+   * @param {number} y - Initial Y position
+   * @param {Object} options - Look and launch of the piece
+   * @param {number} options.angle - Launch direction in radians (default: within CONFIG.angleRange)
+   * @param {number} options.speed - Launch speed in px per frame (default: within CONFIG.initialVelocityRange)
+   * @param {string} options.shape - One of SHAPES (default: random from CONFIG.shapes)
+   * @param {string[]} options.colors - Palette to pick from (default: CONFIG.colors)
+   * @param {string} options.glyph - Emoji to draw for the "emoji" shape
+   * @param {Object} options.sprite - Sprite ({ image }) to draw for the "image" shape
+   */
+  reset(x, y, options = {}) {
+    const colors = options.colors || CONFIG.colors;
+
+    this.x = x;
+    this.y = y;
+    this.size = Math.random() * 8 + 4;
+    this.color = colors[Math.floor(Math.random() * colors.length)];
+    this.shape = options.shape || pick(CONFIG.shapes);
+    this.glyph = options.glyph;
+    this.sprite = options.sprite;
+
+    // Physics properties
+    const angle = options.angle ?? randomBetween(CONFIG.angleRange);
+    const velocity = options.speed ?? randomBetween(CONFIG.initialVelocityRange);
+    this.vx = Math.cos(angle) * velocity;
+    this.vy = Math.sin(angle) * velocity;
+    this.gravity = this.shape === 'ribbon' ? RIBBON_GRAVITY : CONFIG.gravity;
+    this.drag = this.shape === 'ribbon' ? RIBBON_DRAG : CONFIG.windResistance;
+
+    // Rotation
+    this.rotation = Math.random() * Math.PI * 2;
+    this.rotationSpeed = (Math.random() - 0.5) * 0.2;
+
+    // Flutter: ribbons twist around their length as they sway
+    this.wobble = Math.random() * Math.PI * 2;
+    this.wobbleSpeed = Math.random() * 0.1 + 0.05;
+
+    // Lifecycle
+    this.opacity = 1;
+    this.life = 1;
+    return this;
+  }
+
+  /**
+   * Update particle physics
+   */
+  update() {
+    // Apply gravity
+    this.vy += this.gravity;
+
+    if (this.shape === 'ribbon') {
+      this.wobble += this.wobbleSpeed;
+      this.vx += Math.sin(this.wobble) * RIBBON_SWAY;
+    }
+
+    // Apply wind resistance
+    this.vx *= this.drag;
+    this.vy *= this.drag;
+
+    // Update position
+    this.x += this.vx;
+    this.y += this.vy;
+
+    // Update rotation
+    this.rotation += this.rotationSpeed;
+
+    // Fade out
+    this.life -= 0.01;
+    this.opacity = Math.max(0, this.life);
+  }
+
+  /**
+   * Point the context's transform at this piece (rotation, ribbon twist and pixel ratio)
+   * @param {CanvasRenderingContext2D} context - Canvas 2D context
+   * @param {number} dpr - Device pixels per CSS pixel
+   */
+  position(context, dpr) {
+    const cos = Math.cos(this.rotation) * dpr;
+    const sin = Math.sin(this.rotation) * dpr;
+    // Foreshortened as it twists, like a strip of paper seen edge-on
+    const flip = this.shape === 'ribbon' ? Math.cos(this.wobble) : 1;
+    context.setTransform(cos, sin, -sin * flip, cos * flip, this.x * dpr, this.y * dpr);
+  }
+
+  /**
+   * Add this piece's outline to the current path (vector shapes only)
+   * @param {CanvasRenderingContext2D} context - Canvas 2D context
+   * @param {number} dpr - Device pixels per CSS pixel
+   */
+  trace(context, dpr) {
+    this.position(context, dpr);
+    const half = this.size / 2;
+
+    switch (this.shape) {
+      case 'circle':
+        context.moveTo(half, 0);
+        context.arc(0, 0, half, 0, Math.PI * 2);
+        break;
+      case 'ribbon':
+        context.rect(-this.size * 0.2, -this.size * 1.25, this.size * 0.4, this.size * 2.5);
+        break;
+      case 'star':
+        traceStar(context, half);
+        break;
+      case 'heart':
+        traceHeart(context, half);
+        break;
+      default:
+        context.rect(-half, -half, this.size, this.size);
+    }
+  }
+
+  /**
+   * Draw an emoji or sprite piece on its own
+   * @param {CanvasRenderingContext2D} context - Canvas 2D context
+   * @param {number} dpr - Device pixels per CSS pixel
+   */
+  drawGlyph(context, dpr) {
+    context.globalAlpha = this.opacity;
+    this.position(context, dpr);
+
+    if (this.shape === 'emoji') {
+      const scale = (this.size * 2) / EMOJI_FONT_SIZE;
+      context.scale(scale, scale);
+      context.fillText(this.glyph, 0, 0);
+    } else if (this.sprite.image) {
+      // Skipped until the sprite has loaded
+      context.drawImage(this.sprite.image, -this.size, -this.size, this.size * 2, this.size * 2);
+    }
+  }
+
+  /**
+   * Check if particle is still alive
+   * @param {number} floor - Y coordinate below which the piece is gone
+   * @returns {boolean} True if particle should continue existing
+   */
+  isAlive(floor) {
+    return this.life > 0 && this.y < floor + 50;
+  }
+}
+
+/**
+ * @param {CanvasRenderingContext2D} context - Context positioned on the particle
+ * @param {number} radius - Outer radius
+ */
+function traceStar(context, radius) {
+  for (let i = 0; i < 10; i++) {
+    const r = i % 2 === 0 ? radius : radius * 0.45;
+    const angle = (Math.PI / 5) * i - Math.PI / 2;
+    if (i === 0) {
+      context.moveTo(Math.cos(angle) * r, Math.sin(angle) * r);
+    } else {
+      context.lineTo(Math.cos(angle) * r, Math.sin(angle) * r);
+    }
+  }
+  context.closePath();
+}
+
+/**
+ * @param {CanvasRenderingContext2D} context - Context positioned on the particle
+ * @param {number} size - Half the heart's width
+ */
+function traceHeart(context, size) {
+  context.moveTo(0, size * 0.9);
+  context.bezierCurveTo(-size * 1.4, -size * 0.1, -size * 0.6, -size * 1.2, 0, -size * 0.45);
+  context.bezierCurveTo(size * 0.6, -size * 1.2, size * 1.4, -size * 0.1, 0, size * 0.9);
+  context.closePath();
+}
+
+function randomBetween({ min, max }) {
+  return Math.random() * (max - min) + min;
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * A batch of particles released over time by an emitter
+ * @param {number} count - Particles in the batch
+ * @param {number} perFrame - Particles released per frame (may be fractional)
+ * @param {Function} spawn - Called as spawn(make) and returns make(x, y, particleOptions)
+ * @param {number} delay - Frames to wait before the first release
+ * @returns {Object} Stream processed by ConfettiEngine.releaseStreams()
+ */
+function createStream(count, perFrame, spawn, delay = 0) {
+  return { remaining: count, perFrame, spawn, delay, budget: 0 };
+}
+
+/**
+ * Emitter presets: each turns the call's options into streams
+ * Called with the options, the look factory and the drawing area ({ width, height }).
+ */
+const EMITTERS = {
+  burst(options, look, area) {
+    const x = options.x ?? area.width / 2;
+    const y = options.y ?? 40; // spawn near the top of the page
+    return [createStream(options.count, options.count, make => make(x, y, look()))];
+  },
+
+  cannon(options, look, area) {
+    const left = Math.ceil(options.count / 2);
+    const fire = (count, x, angle) => createStream(count, count, make => make(x, area.height, {
+      ...look(),
+      angle: angle + (Math.random() - 0.5) * Math.PI / 6,
+      speed: randomBetween(CANNON_SPEED)
+    }));
+    // Aimed up and inwards from each bottom corner
+    return [fire(left, 0, -Math.PI / 3), fire(options.count - left, area.width, -Math.PI * 2 / 3)];
+  },
+
+  rain(options, look, area) {
+    return [createStream(options.count, Math.ceil(options.count / RAIN_FRAMES), make => make(
+      Math.random() * area.width,
+      -20,
+      { ...look(), angle: Math.PI / 2 + (Math.random() - 0.5) * 0.5, speed: Math.random() * 3 + 2 }
+    ))];
+  },
+
+  fireworks(options, look, area) {
+    const shells = Math.max(1, options.shells ?? FIREWORK_SHELLS);
+    const perShell = Math.ceil(options.count / shells);
+
+    return Array.from({ length: shells }, (_, index) => {
+      const x = area.width * (0.2 + Math.random() * 0.6);
+      const y = area.height * (0.15 + Math.random() * 0.3);
+      // One colour per shell, like the real thing
+      const colors = [pick(options.colors || CONFIG.colors)];
+      return createStream(perShell, perShell, make => make(x, y, {
+        ...look(),
+        colors,
+        angle: Math.random() * Math.PI * 2,
+        speed: randomBetween(FIREWORK_SPEED)
+      }), index * FIREWORK_GAP);
+    });
+  },
+
+  fountain(options, look, area) {
+    const x = options.x ?? area.width / 2;
+    const y = options.y ?? area.height;
+    const frames = Math.max(1, Math.round((options.duration ?? FOUNTAIN_DURATION) / FRAME_TIME));
+
+    return [createStream(options.count, options.count / frames, make => make(x, y, {
+      ...look(),
+      angle: -Math.PI / 2 + (Math.random() - 0.5) * 2 * FOUNTAIN_SPREAD,
+      speed: randomBetween(FOUNTAIN_SPEED)
+    }))];
+  }
+};
+
+/**
+ * Particle simulation bound to one 2D context
+ */
+export class ConfettiEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {CanvasRenderingContext2D} options.context - 2D context of a canvas or OffscreenCanvas
+   * @param {Function} options.loadSprite - Called with an image URL; returns { image } with
+   *   `image` filled in once the picture can be drawn
+   * @param {Function} options.onFinish - Called as onFinish(id, cancelled) when a burst ends
+   */
+  constructor({ context, loadSprite, onFinish }) {
+    this.context = context;
+    this.loadSprite = loadSprite;
+    this.onFinish = onFinish || (() => {});
+    this.sprites = new Map();
+
+    this.particles = [];
+    this.pool = [];
+    this.streams = [];
+    this.bursts = new Map();
+
+    // Vector particles grouped by colour, then by opacity step; reused every frame
+    this.batches = new Map();
+    this.glyphs = [];
+
+    this.width = 0;
+    this.height = 0;
+    this.dpr = 1;
+
+    this.budget = 1;
+    this.frameTime = FRAME_TIME;
+    this.lastFrame = 0;
+
+    this.make = (x, y, options) => (this.pool.pop() || new Particle()).reset(x, y, options);
+  }
+
+  /**
+   * Match the backing store to the drawing area
+   * @param {number} width - Width in CSS pixels
+   * @param {number} height - Height in CSS pixels
+   * @param {number} dpr - Device pixels per CSS pixel
+   */
+  resize(width, height, dpr = 1) {
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.context.canvas.width = Math.round(width * dpr);
+    this.context.canvas.height = Math.round(height * dpr);
+  }
+
+  /**
+   * Queue a confetti effect (see triggerConfetti() for the options)
+   * @param {Object} options - Effect options
+   * @param {number} id - Burst id reported back through onFinish
+   */
+  trigger(options = {}, id) {
+    let emitter = EMITTERS[options.emitter || 'burst'];
+    if (!emitter) {
+      console.warn(`Unknown confetti emitter "${options.emitter}", using "burst"`);
+      emitter = EMITTERS.burst;
+    }
+
+    // Busy devices get smaller bursts
+    const requested = options.count ?? CONFIG.particleCount;
+    const count = requested > 0 ? Math.max(1, Math.round(requested * this.budget)) : 0;
+
+    const burst = { id, live: 0, streams: 0, releasedAt: null, lifetime: options.lifetime ?? CONFIG.duration };
+    const streams = emitter({ ...options, count }, this.createLook(options), this);
+    streams.forEach(stream => {
+      stream.burst = burst;
+    });
+    burst.streams = streams.length;
+
+    this.streams.push(...streams);
+    this.bursts.set(id, burst);
+  }
+
+  /**
+   * Remove a burst's particles and pending emitters
+   * @param {number} id - Burst id
+   */
+  cancel(id) {
+    const burst = this.bursts.get(id);
+    if (!burst) return;
+    this.remove(burst);
+    this.finish(burst, true);
+  }
+
+  /**
+   * Advance and draw one frame
+   * @param {number} now - Frame timestamp (ms)
+   * @returns {boolean} True while there is anything left to animate
+   */
+  step(now) {
+    this.measure(now);
+    this.releaseStreams(now);
+    this.update();
+    this.settleBursts(now);
+    this.render();
+
+    const active = this.particles.length > 0 || this.streams.length > 0 || this.bursts.size > 0;
+    if (!active) this.lastFrame = 0;
+    return active;
+  }
+
+  /**
+   * Track frame times and adjust the particle budget
+   * @param {number} now - Frame timestamp (ms)
+   */
+  measure(now) {
+    const delta = this.lastFrame ? now - this.lastFrame : 0;
+    this.lastFrame = now;
+    if (delta <= 0 || delta > MAX_FRAME_DELTA) return;
+
+    this.frameTime += (delta - this.frameTime) * 0.1;
+    if (this.frameTime > FRAME_BUDGET) {
+      this.budget = Math.max(MIN_BUDGET, this.budget - BUDGET_DROP);
+    } else {
+      this.budget = Math.min(1, this.budget + BUDGET_RECOVERY);
+    }
+  }
+
+  /**
+   * Release the particles each stream owes this frame
+   * @param {number} now - Frame timestamp (ms)
+   */
+  releaseStreams(now) {
+    let i = 0;
+    while (i < this.streams.length) {
+      const stream = this.streams[i];
+
+      if (stream.delay > 0) {
+        stream.delay--;
+        i++;
+        continue;
+      }
+
+      stream.budget += stream.perFrame;
+      while (stream.budget >= 1 && stream.remaining > 0) {
+        // Past the cap the piece is simply skipped
+        if (this.particles.length < MAX_PARTICLES) {
+          const particle = stream.spawn(this.make);
+          particle.burst = stream.burst;
+          stream.burst.live++;
+          this.particles.push(particle);
+        }
+        stream.budget--;
+        stream.remaining--;
+      }
+
+      if (stream.remaining > 0) {
+        i++;
+      } else {
+        removeAt(this.streams, i);
+        stream.burst.streams--;
+        if (stream.burst.streams === 0) stream.burst.releasedAt = now;
+      }
+    }
+  }
+
+  /**
+   * Move every particle and return the dead ones to the pool
+   */
+  update() {
+    let i = 0;
+    while (i < this.particles.length) {
+      const particle = this.particles[i];
+      particle.update();
+
+      if (particle.isAlive(this.height)) {
+        i++;
+      } else {
+        removeAt(this.particles, i);
+        this.recycle(particle);
+      }
+    }
+  }
+
+  /**
+   * End bursts whose pieces are all gone or whose lifetime has run out
+   * @param {number} now - Frame timestamp (ms)
+   */
+  settleBursts(now) {
+    this.bursts.forEach(burst => {
+      if (burst.streams === 0 && burst.live === 0) {
+        this.finish(burst, false);
+      } else if (burst.releasedAt !== null && now - burst.releasedAt > burst.lifetime) {
+        this.remove(burst);
+        this.finish(burst, false);
+      }
+    });
+  }
+
+  /**
+   * @param {Object} burst - Burst to drop the particles and streams of
+   */
+  remove(burst) {
+    for (let i = this.streams.length - 1; i >= 0; i--) {
+      if (this.streams[i].burst === burst) removeAt(this.streams, i);
+    }
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const particle = this.particles[i];
+      if (particle.burst === burst) {
+        removeAt(this.particles, i);
+        this.recycle(particle);
+      }
+    }
+    burst.streams = 0;
+  }
+
+  /**
+   * @param {Particle} particle - Dead particle to return to the pool
+   */
+  recycle(particle) {
+    particle.burst.live--;
+    particle.burst = null;
+    this.pool.push(particle);
+  }
+
+  /**
+   * @param {Object} burst - Burst that ended
+   * @param {boolean} cancelled - Whether it was cut short by cancel() or stop()
+   */
+  finish(burst, cancelled) {
+    this.bursts.delete(burst.id);
+    this.onFinish(burst.id, cancelled);
+  }
+
+  /**
+   * Draw all particles, batching vector shapes by colour and opacity
+   */
+  render() {
+    const { context, dpr } = this;
+    this.clear();
+
+    this.batches.forEach(steps => steps.forEach(list => {
+      list.length = 0;
+    }));
+    this.glyphs.length = 0;
+
+    this.particles.forEach(particle => {
+      if (particle.shape === 'emoji' || particle.shape === 'image') {
+        this.glyphs.push(particle);
+        return;
+      }
+      if (!this.batches.has(particle.color)) {
+        this.batches.set(particle.color, Array.from({ length: ALPHA_STEPS + 1 }, () => []));
+      }
+      this.batches.get(particle.color)[Math.ceil(particle.opacity * ALPHA_STEPS)].push(particle);
+    });
+
+    this.batches.forEach((steps, color) => {
+      context.fillStyle = color;
+      steps.forEach((list, step) => {
+        if (list.length === 0) return;
+        context.globalAlpha = step / ALPHA_STEPS;
+        context.beginPath();
+        list.forEach(particle => particle.trace(context, dpr));
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.fill();
+      });
+    });
+
+    if (this.glyphs.length > 0) {
+      context.font = `${EMOJI_FONT_SIZE}px serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      this.glyphs.forEach(particle => particle.drawGlyph(context, dpr));
+    }
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.globalAlpha = 1;
+  }
+
+  clear() {
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.clearRect(0, 0, this.context.canvas.width, this.context.canvas.height);
+  }
+
+  /**
+   * Drop every particle and pending emitter, cancelling all bursts, and clear the canvas
+   */
+  stop() {
+    this.particles.forEach(particle => this.recycle(particle));
+    this.particles.length = 0;
+    this.streams.length = 0;
+    this.lastFrame = 0;
+    this.clear();
+    this.bursts.forEach(burst => this.finish(burst, true));
+  }
+
+  /**
+   * Build the per-particle look (shape, palette, glyph or sprite) for a call
+   * @param {Object} options - triggerConfetti() options
+   * @returns {Function} Returns the options for one new Particle
+   */
+  createLook(options) {
+    const images = (options.images || []).map(url => {
+      if (!this.sprites.has(url)) this.sprites.set(url, this.loadSprite(url));
+      return this.sprites.get(url);
+    });
+    const emoji = options.emoji || CONFIG.emoji;
+
+    // Passing only emoji or images implies those shapes
+    let defaults = CONFIG.shapes;
+    if (images.length > 0) {
+      defaults = ['image'];
+    } else if (options.emoji) {
+      defaults = ['emoji'];
+    }
+
+    let shapes = (options.shapes || defaults).filter(shape => {
+      if (!SHAPES.includes(shape)) {
+        console.warn(`Unknown confetti shape "${shape}"`);
+        return false;
+      }
+      return shape !== 'image' || images.length > 0;
+    });
+    if (shapes.length === 0) shapes = CONFIG.shapes;
+
+    return () => {
+      const shape = pick(shapes);
+      return {
+        shape,
+        colors: options.colors,
+        glyph: shape === 'emoji' ? pick(emoji) : undefined,
+        sprite: shape === 'image' ? pick(images) : undefined
+      };
+    };
+  }
+}
+
+/**
+ * Remove an item without shifting the rest: the last item takes its place
+ * @param {Array} list - Array to remove from
+ * @param {number} index - Position to remove
+ */
+function removeAt(list, index) {
+  const last = list.pop();
+  if (index < list.length) list[index] = last;
+}
@@ -0,0 +1,91 @@
+/**
+ * Confetti Worker
+ * Runs the confetti engine on an OffscreenCanvas so the page's main thread stays free
+ * @module confetti-worker
+ *
+ * Messages from confetti.js:
+ * - { type: 'init', canvas } with the transferred OffscreenCanvas
+ * - { type: 'resize', width, height, dpr }
+ * - { type: 'trigger', id, options }
+ * - { type: 'cancel', id }
+ * - { type: 'stop' }
+ * - { type: 'config', config } with CONFIG overrides
+ *
+ * Replies with { type: 'finished', id, cancelled } when a burst ends.
+ */
+
+import { ConfettiEngine, CONFIG, FRAME_TIME } from './confetti-engine.js';
+
+let engine = null;
+let frameId = null;
+
+// Workers gained requestAnimationFrame later than OffscreenCanvas
+const requestFrame = self.requestAnimationFrame
+  ? callback => self.requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), FRAME_TIME);
+const cancelFrame = self.cancelAnimationFrame
+  ? id => self.cancelAnimationFrame(id)
+  : id => clearTimeout(id);
+
+self.addEventListener('message', ({ data }) => {
+  switch (data.type) {
+    case 'init':
+      engine = new ConfettiEngine({
+        context: data.canvas.getContext('2d'),
+        loadSprite,
+        onFinish: (id, cancelled) => self.postMessage({ type: 'finished', id, cancelled })
+      });
+      break;
+    case 'resize':
+      if (engine) engine.resize(data.width, data.height, data.dpr);
+      break;
+    case 'trigger':
+      if (!engine) return;
+      engine.trigger(data.options, data.id);
+      if (frameId === null) frameId = requestFrame(animate);
+      break;
+    case 'cancel':
+      if (engine) engine.cancel(data.id);
+      break;
+    case 'stop':
+      if (frameId !== null) {
+        cancelFrame(frameId);
+        frameId = null;
+      }
+      if (engine) engine.stop();
+      break;
+    case 'config':
+      Object.assign(CONFIG, data.config);
+      break;
+    default:
+  }
+});
+
+/**
+ * @param {number} now - Frame timestamp (ms)
+ */
+function animate(now) {
+  frameId = engine.step(now) ? requestFrame(animate) : null;
+}
+
+/**
+ * Fetch a sprite as an ImageBitmap (Image elements don't exist in workers)
+ * @param {string} url - Absolute image URL
+ * @returns {Object} Sprite whose `image` is set once decoded
+ */
+function loadSprite(url) {
+  const sprite = { image: null };
+
+  fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`status ${response.status}`);
+      return response.blob();
+    })
+    .then(blob => createImageBitmap(blob))
+    .then(bitmap => {
+      sprite.image = bitmap;
+    })
+    .catch(error => console.warn(`Could not load confetti sprite ${url}:`, error));
+
+  return sprite;
+}
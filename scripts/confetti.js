@@ -2,175 +2,296 @@
  * Confetti Animation Module
  * High-performance confetti effect using Canvas API and requestAnimationFrame
  * @module confetti
+ *
+ * Shapes: "circle", "square", "ribbon" (flutters as it falls), "star", "heart",
+ * "emoji" (glyphs from `options.emoji`) and "image" (sprites from `options.images`).
+ *
+ * Emitters, picked per call with `options.emitter`:
+ * - "burst" (default): one upward burst from a point
+ * - "cannon": two bursts fired inwards from the bottom corners
+ * - "rain": pieces falling from across the top edge
+ * - "fireworks": shells exploding in the air one after another
+ * - "fountain": a continuous upward stream for `options.duration` ms
+ *
+ *   triggerConfetti({ emitter: 'cannon', shapes: ['ribbon', 'star'] });
+ *   triggerConfetti({ emitter: 'rain', shapes: ['emoji'], emoji: ['🎂', '🎈'] });
+ *
+ * Each call returns its own burst handle, so celebrations can overlap:
+ *
+ *   const burst = triggerConfetti({ emitter: 'fireworks' });
+ *   burst.finished.then(({ cancelled }) => ...);
+ *   burst.cancel();
+ *
+ * By default the canvas is a fixed overlay over the whole viewport, so confetti
+ * shows wherever the visitor has scrolled to; `setConfettiMode({ overlay: false })`
+ * keeps it inside the hero. Bursts can start at an element (`options.origin`),
+ * and the opt-in `clickAnywhere` mode fires a small burst wherever the page is clicked.
+ *
+ * The simulation lives in confetti-engine.js. With `initConfetti({ worker: true })`
+ * it runs in a worker on an OffscreenCanvas where the browser supports that,
+ * and on the main thread otherwise.
  */
 
-// Configuration
-const CONFIG = {
-  particleCount: 150,
-  duration: 4000,
-  colors: ['#d4a574', '#e8d4b8', '#1e3a5f', '#4caf50', '#2196f3'],
-  shapes: ['circle', 'square'],
-  gravity: 0.5,
-  windResistance: 0.98,
-  initialVelocityRange: { min: -15, max: -5 },
-  angleRange: { min: -Math.PI / 4, max: -Math.PI * 3 / 4 }
-};
-
-let canvas, ctx, particles, animationId, isAnimating;
-
-/**
- * Particle class representing a single confetti piece
- */
-class Particle {
-  /**
-   * @param {number} x - Initial X position
-   * @param {number} y - Initial Y position
-   */
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.size = Math.random() * 8 + 4;
-    this.color = CONFIG.colors[Math.floor(Math.random() * CONFIG.colors.length)];
-    this.shape = CONFIG.shapes[Math.floor(Math.random() * CONFIG.shapes.length)];
-    
-    // Physics properties
-    const angle = Math.random() * (CONFIG.angleRange.max - CONFIG.angleRange.min) + CONFIG.angleRange.min;
-    const velocity = Math.random() * (CONFIG.initialVelocityRange.max - CONFIG.initialVelocityRange.min) + CONFIG.initialVelocityRange.min;
-    this.vx = Math.cos(angle) * velocity;
-    this.vy = Math.sin(angle) * velocity;
-    
-    // Rotation
-    this.rotation = Math.random() * Math.PI * 2;
-    this.rotationSpeed = (Math.random() - 0.5) * 0.2;
-    
-    // Lifecycle
-    this.opacity = 1;
-    this.life = 1;
-  }
-  
-  /**
-   * Update particle physics
-   */
-  update() {
-    // Apply gravity
-    this.vy += CONFIG.gravity;
-    
-    // Apply wind resistance
-    this.vx *= CONFIG.windResistance;
-    this.vy *= CONFIG.windResistance;
-    
-    // Update position
-    this.x += this.vx;
-    this.y += this.vy;
-    
-    // Update rotation
-    this.rotation += this.rotationSpeed;
-    
-    // Fade out
-    this.life -= 0.01;
-    this.opacity = Math.max(0, this.life);
-  }
-  
-  /**
-   * Draw particle on canvas
-   * @param {CanvasRenderingContext2D} context - Canvas 2D context
-   */
-  draw(context) {
-    context.save();
-    context.globalAlpha = this.opacity;
-    context.translate(this.x, this.y);
-    context.rotate(this.rotation);
-    context.fillStyle = this.color;
-    
-    if (this.shape === 'circle') {
-      context.beginPath();
-      context.arc(0, 0, this.size / 2, 0, Math.PI * 2);
-      context.fill();
-    } else {
-      context.fillRect(-this.size / 2, -this.size / 2, this.size, this.size);
-    }
-    
-    context.restore();
-  }
-  
-  /**
-   * Check if particle is still alive
-   * @returns {boolean} True if particle should continue existing
-   */
-  isAlive() {
-    return this.life > 0 && this.y < canvas.height + 50;
-  }
-}
+import { ConfettiEngine, CONFIG } from './confetti-engine.js';
+
+export { SHAPES } from './confetti-engine.js';
+
+let canvas, engine, worker, animationId, isAnimating;
+
+// Where the canvas sits in the page markup, for leaving overlay mode
+let home = null;
+let clickAnywhereEnabled = false;
+
+// Burst size for click-anywhere mode
+const CLICK_COUNT = 40;
+
+// Clicks on controls do their own thing rather than celebrate
+const INTERACTIVE = 'a, button, input, select, textarea, label, summary, video, audio, [role="button"], [role="dialog"], [contenteditable]';
+
+// Bursts still on screen: id → { resolve, onFinish }
+const pending = new Map();
+let nextBurstId = 1;
+
+/**
+ * @typedef {Object} ConfettiBurst
+ * @property {number} id - Burst id
+ * @property {Promise<{cancelled: boolean}>} finished - Settles when the last piece is gone
+ * @property {Function} cancel - Remove this burst's pieces straight away
+ */
 
 /**
  * Initialize confetti canvas and context
+ * @param {Object} options - Setup options
+ * @param {boolean} options.worker - Render in a worker when OffscreenCanvas is available
+ * @param {boolean} options.overlay - Cover the whole viewport (default: true)
+ * @param {boolean} options.clickAnywhere - Celebrate on every click on the page (default: false)
  */
-export function initConfetti() {
+export function initConfetti(options = {}) {
   canvas = document.getElementById('confetti-canvas');
-  
+
   if (!canvas) {
     console.warn('Confetti canvas not found');
     return;
   }
-  
-  ctx = canvas.getContext('2d');
-  particles = [];
+
   isAnimating = false;
-  
-  // Set canvas size
-  resizeCanvas();
-  
+  home = { parent: canvas.parentNode, next: canvas.nextSibling };
+
+  if (!(options.worker && startWorker())) {
+    startMainThread();
+  }
+
+  // Places the canvas and sets its size
+  setConfettiMode(options);
+
   // Handle window resize
   window.addEventListener('resize', resizeCanvas);
 }
 
 /**
- * Resize canvas to match window size
+ * Switch between the viewport overlay and the in-hero canvas, and toggle click-anywhere
+ * @param {Object} mode - Display mode
+ * @param {boolean} mode.overlay - Cover the whole viewport (default: true)
+ * @param {boolean} mode.clickAnywhere - Celebrate on every click on the page (default: false)
  */
-function resizeCanvas() {
+export function setConfettiMode({ overlay = true, clickAnywhere = false } = {}) {
   if (!canvas) return;
-  
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
+
+  canvas.classList.toggle('confetti-overlay', overlay);
+  if (overlay && canvas.parentNode !== document.body) {
+    // Out of the hero so no ancestor transform or overflow clips the fixed canvas
+    document.body.appendChild(canvas);
+  } else if (!overlay && home && canvas.parentNode !== home.parent) {
+    home.parent.insertBefore(canvas, home.next);
+  }
+  resizeCanvas();
+
+  if (clickAnywhere && !clickAnywhereEnabled) {
+    document.addEventListener('click', handlePageClick);
+  } else if (!clickAnywhere && clickAnywhereEnabled) {
+    document.removeEventListener('click', handlePageClick);
+  }
+  clickAnywhereEnabled = clickAnywhere;
+}
+
+/**
+ * @param {MouseEvent} e - Click anywhere on the page
+ */
+function handlePageClick(e) {
+  if (e.defaultPrevented || e.button !== 0) return;
+  if (e.target instanceof Element && e.target.closest(INTERACTIVE)) return;
+  // Keyboard "clicks" have no pointer position
+  if (e.detail === 0) return;
+
+  const point = toCanvasPoint(e.clientX, e.clientY);
+  triggerConfetti({ ...point, count: CLICK_COUNT });
 }
 
 /**
- * Create particles at a specific position
- * @param {number} x - X coordinate for particle spawn
- * @param {number} y - Y coordinate for particle spawn
- * @param {number} count - Number of particles to create
+ * @param {number} clientX - Viewport X coordinate
+ * @param {number} clientY - Viewport Y coordinate
+ * @returns {{x: number, y: number}} The same point in canvas coordinates
  */
-function createParticles(x, y, count) {
-  for (let i = 0; i < count; i++) {
-    particles.push(new Particle(x, y));
+function toCanvasPoint(clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: clientX - rect.left, y: clientY - rect.top };
+}
+
+/**
+ * @param {Element} element - Element a burst starts from
+ * @returns {{x: number, y: number}} Centre of the element in canvas coordinates
+ */
+function elementCenter(element) {
+  const rect = element.getBoundingClientRect();
+  return toCanvasPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+}
+
+/**
+ * Hand the canvas to a worker
+ * @returns {boolean} True when the worker path is in use
+ */
+function startWorker() {
+  if (typeof Worker === 'undefined' || typeof canvas.transferControlToOffscreen !== 'function') {
+    return false;
+  }
+
+  try {
+    const offscreen = canvas.transferControlToOffscreen();
+    worker = new Worker(new URL('./confetti-worker.js', import.meta.url), { type: 'module' });
+    worker.addEventListener('error', handleWorkerError);
+    worker.addEventListener('message', ({ data }) => {
+      if (data.type === 'finished') handleFinish(data.id, data.cancelled);
+    });
+    worker.postMessage({ type: 'init', canvas: offscreen }, [offscreen]);
+    return true;
+  } catch (error) {
+    console.warn('Confetti worker unavailable, drawing on the main thread:', error);
+    worker = null;
+    // A canvas whose control was transferred can't be drawn on here any more
+    replaceCanvas();
+    return false;
   }
 }
 
+function startMainThread() {
+  engine = new ConfettiEngine({ context: canvas.getContext('2d'), loadSprite, onFinish: handleFinish });
+}
+
 /**
- * Animation loop using requestAnimationFrame
+ * The worker failed to load or crashed: carry on drawing on the main thread
+ * @param {ErrorEvent} event - Worker error
  */
-function animate() {
-  if (!ctx || !canvas) return;
-  
-  // Clear canvas
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  
-  // Update and draw particles
-  particles = particles.filter(particle => {
-    particle.update();
-    
-    if (particle.isAlive()) {
-      particle.draw(ctx);
-      return true;
+function handleWorkerError(event) {
+  console.warn('Confetti worker failed, drawing on the main thread:', event.message);
+  worker.terminate();
+  worker = null;
+  // Whatever the worker was drawing is gone with it
+  pending.forEach((burst, id) => handleFinish(id, true));
+  replaceCanvas();
+  startMainThread();
+  resizeCanvas();
+}
+
+/**
+ * Swap in a fresh copy of the canvas element
+ */
+function replaceCanvas() {
+  const fresh = canvas.cloneNode(false);
+  canvas.replaceWith(fresh);
+  canvas = fresh;
+}
+
+/**
+ * Resize canvas to its laid-out size (viewport or hero), in device pixels so pieces stay sharp
+ */
+function resizeCanvas() {
+  if (!canvas) return;
+
+  const size = {
+    width: canvas.clientWidth || window.innerWidth,
+    height: canvas.clientHeight || window.innerHeight,
+    dpr: window.devicePixelRatio || 1
+  };
+
+  if (worker) {
+    worker.postMessage({ type: 'resize', ...size });
+  } else if (engine) {
+    engine.resize(size.width, size.height, size.dpr);
+  }
+}
+
+/**
+ * @param {string} url - Sprite image URL
+ * @returns {Object} Sprite whose `image` is set once loaded
+ */
+function loadSprite(url) {
+  const sprite = { image: null };
+  const img = new Image();
+  img.addEventListener('load', () => {
+    sprite.image = img;
+  });
+  img.addEventListener('error', () => console.warn(`Could not load confetti sprite ${url}`));
+  img.src = url;
+  return sprite;
+}
+
+/**
+ * Settle a burst's promise and callback
+ * @param {number} id - Burst id
+ * @param {boolean} cancelled - Whether it was cut short
+ */
+function handleFinish(id, cancelled) {
+  const burst = pending.get(id);
+  if (!burst) return;
+  pending.delete(id);
+  burst.resolve({ cancelled });
+  if (burst.onFinish) {
+    try {
+      burst.onFinish({ cancelled });
+    } catch (error) {
+      console.error('Error in confetti onFinish callback:', error);
     }
-    
-    return false;
+  }
+}
+
+/**
+ * @param {number} id - Burst id
+ * @param {Function} onFinish - Optional callback
+ * @returns {ConfettiBurst} Handle for the caller
+ */
+function createBurst(id, onFinish) {
+  let resolve;
+  const finished = new Promise(done => {
+    resolve = done;
   });
-  
-  // Continue animation if particles exist
-  if (particles.length > 0) {
+  pending.set(id, { resolve, onFinish });
+
+  return {
+    id,
+    finished,
+    cancel() {
+      if (!pending.has(id)) return;
+      if (worker) {
+        worker.postMessage({ type: 'cancel', id });
+      } else if (engine) {
+        engine.cancel(id);
+      }
+    }
+  };
+}
+
+/**
+ * Animation loop using requestAnimationFrame
+ * @param {number} now - Frame timestamp (ms)
+ */
+function animate(now) {
+  if (!engine) return;
+
+  // Continue animation while particles exist or emitters still have some to release
+  if (engine.step(now)) {
     animationId = requestAnimationFrame(animate);
   } else {
+    animationId = null;
     isAnimating = false;
   }
 }
@@ -178,58 +299,77 @@ function animate() {
 /**
  * Trigger confetti effect
  * @param {Object} options - Configuration options
- * @param {number} options.x - X position (default: center)
- * @param {number} options.y - Y position (default: 40% from top)
+ * @param {number} options.x - X position in canvas pixels (default: center)
+ * @param {number} options.y - Y position (default: 40px from the top)
+ * @param {Element} options.origin - Start the burst from the centre of this element instead of x/y
  * @param {number} options.count - Number of particles (default: CONFIG.particleCount)
+ * @param {string} options.emitter - "burst", "cannon", "rain", "fireworks" or "fountain" (default: "burst")
+ * @param {string[]} options.shapes - Shapes to mix (default: CONFIG.shapes)
+ * @param {string[]} options.colors - Palette (default: CONFIG.colors)
+ * @param {string[]} options.emoji - Glyphs for the "emoji" shape
+ * @param {string[]} options.images - Sprite URLs for the "image" shape
+ * @param {number} options.shells - Explosions for the "fireworks" emitter (default: 3)
+ * @param {number} options.duration - How long the "fountain" emitter runs, in ms (default: 2500)
+ * @param {number} options.lifetime - Longest the pieces stay once all are out, in ms (default: CONFIG.duration)
+ * @param {Function} options.onFinish - Called with { cancelled } when the burst is over
+ * @returns {ConfettiBurst} Handle to await or cancel the burst
  */
 export function triggerConfetti(options = {}) {
-  if (!canvas || !ctx) {
+  const { onFinish, origin, ...effect } = options;
+  const id = nextBurstId++;
+  const burst = createBurst(id, onFinish);
+
+  if (!canvas || (!engine && !worker)) {
     console.warn('Confetti not initialized');
-    return;
+    handleFinish(id, true);
+    return burst;
   }
-  
+
   // Check for reduced motion preference
   if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
     console.log('Confetti disabled due to reduced motion preference');
-    return;
+    handleFinish(id, true);
+    return burst;
   }
-  
-  const x = options.x || canvas.width / 2;
-  const y = options.y || 40; // spawn near the top of the page
-  const count = options.count || CONFIG.particleCount;
-  
-  // Create particles
-  createParticles(x, y, count);
-  
-  // Start animation if not already running
-  if (!isAnimating) {
-    isAnimating = true;
-    animate();
+
+  if (origin) Object.assign(effect, elementCenter(origin));
+
+  // Sprite URLs are resolved against the page, not the worker script
+  if (effect.images) {
+    effect.images = effect.images.map(src => new URL(src, document.baseURI).href);
   }
-  
-  // Auto-stop after duration
-  setTimeout(() => {
-    if (isAnimating) {
-      stopConfetti();
+
+  if (worker) {
+    worker.postMessage({ type: 'trigger', id, options: effect });
+  } else {
+    engine.trigger(effect, id);
+
+    // Start animation if not already running
+    if (!isAnimating) {
+      isAnimating = true;
+      animationId = requestAnimationFrame(animate);
     }
-  }, CONFIG.duration);
+  }
+
+  return burst;
 }
 
 /**
- * Stop confetti animation
+ * Stop confetti animation, cancelling every burst
  */
 export function stopConfetti() {
   if (animationId) {
     cancelAnimationFrame(animationId);
     animationId = null;
   }
-  
-  particles = [];
+
   isAnimating = false;
-  
+
   // Clear canvas
-  if (ctx && canvas) {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (worker) {
+    worker.postMessage({ type: 'stop' });
+  } else if (engine) {
+    engine.stop();
   }
 }
 
@@ -239,4 +379,5 @@ export function stopConfetti() {
  */
 export function updateConfig(newConfig) {
   Object.assign(CONFIG, newConfig);
-}
\ No newline at end of file
+  if (worker) worker.postMessage({ type: 'config', config: newConfig });
+}
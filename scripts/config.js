@@ -0,0 +1,876 @@
+/**
+ * Celebration Config Module
+ * Loads and validates the recipient index and the per-person JSON bundles
+ * that drive every section of the page
+ * @module config
+ */
+
+export const RECIPIENTS_URL = 'data/recipients.json';
+
+// Slugs used in routes such as #/kyla
+export const SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+// Slide kinds the slideshow can render (see slide-media.js)
+export const SLIDE_TYPES = ['image', 'video', 'audio', 'card'];
+
+const TRACK_KINDS = ['subtitles', 'captions'];
+
+// Things a music timeline cue can do (see choreography.js)
+export const TIMELINE_ACTIONS = ['slide', 'next', 'prev', 'confetti', 'beats'];
+
+// Ways to find an easter egg (see easter-eggs.js)
+export const EASTER_EGG_TRIGGERS = ['konami', 'heroClicks', 'stars', 'perfectTrivia'];
+
+// How the personal letter appears (see letter-reveal.js)
+export const LETTER_REVEAL_MODES = ['fade', 'typewriter', 'lines'];
+
+// What the visitor taps open before the page (see intro.js)
+export const INTRO_STYLES = ['envelope', 'gift'];
+
+// Sections a `translations` entry may override, and the fields it may set
+// (null: any field); see localizeConfig()
+const TRANSLATABLE_SECTIONS = {
+  hero: null,
+  letter: null,
+  intro: ['title'],
+  countdown: ['heading', 'message'],
+  trivia: ['heading'],
+  guestbook: ['heading']
+};
+
+// CSS custom properties from :root in main.css that a config may override
+const THEME_PROPERTIES = [
+  'primary-color',
+  'accent-color',
+  'accent-light',
+  'background',
+  'surface',
+  'text-primary',
+  'text-secondary',
+  'text-light',
+  'focus-color',
+  'success-color'
+];
+
+/**
+ * Error thrown when the config cannot be loaded or fails validation
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {string[]} errors - Individual problems found in the config
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Fetch, parse and validate the recipient index
+ * @param {string} url - Location of the index JSON
+ * @returns {Promise<Object>} The validated index ({ default, recipients })
+ * @throws {ConfigError} When the file is missing, malformed or invalid
+ */
+export async function loadRecipientIndex(url = RECIPIENTS_URL) {
+  const index = await fetchJson(url);
+
+  const errors = validateRecipientIndex(index);
+  if (errors.length > 0) {
+    throw new ConfigError(problemSummary(url, errors), errors);
+  }
+
+  return index;
+}
+
+/**
+ * Fetch, parse and validate one recipient's celebration config
+ * @param {string} url - Location of the JSON config
+ * @returns {Promise<Object>} The validated config
+ * @throws {ConfigError} When the file is missing, malformed or invalid
+ */
+export async function loadConfig(url) {
+  const config = await fetchJson(url);
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(problemSummary(url, errors), errors);
+  }
+
+  return config;
+}
+
+/**
+ * Fetch and parse a JSON file, wrapping every failure in a ConfigError
+ * @param {string} url - Location of the JSON file
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJson(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new ConfigError(`Could not reach ${url}`, [error.message]);
+  }
+
+  if (!response.ok) {
+    throw new ConfigError(`Could not load ${url}`, [`Server responded with status ${response.status}`]);
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new ConfigError(`${url} is not valid JSON`, [error.message]);
+  }
+}
+
+function problemSummary(url, errors) {
+  return `${url} has ${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Check the recipient index against the expected shape
+ * @param {Object} index - Parsed index
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+export function validateRecipientIndex(index) {
+  const errors = [];
+
+  if (!isObject(index)) {
+    return ['Recipient index must be a JSON object'];
+  }
+
+  if (!isObject(index.recipients) || Object.keys(index.recipients).length === 0) {
+    return ['recipients must be an object with at least one entry'];
+  }
+
+  Object.entries(index.recipients).forEach(([slug, entry]) => {
+    const path = `recipients.${slug}`;
+    if (!SLUG_PATTERN.test(slug)) {
+      errors.push(`${path} is not a valid slug (use lowercase letters, digits and dashes)`);
+    }
+    if (!isObject(entry)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    requireString(errors, entry.name, `${path}.name`);
+    requireString(errors, entry.config, `${path}.config`);
+  });
+
+  requireString(errors, index.default, 'default');
+  if (typeof index.default === 'string' && !Object.hasOwn(index.recipients, index.default)) {
+    errors.push(`default "${index.default}" does not match any entry in recipients`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check a config object against the expected shape
+ * @param {Object} config - Parsed config
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!isObject(config)) {
+    return ['Config must be a JSON object'];
+  }
+
+  // Recipient
+  if (!isObject(config.recipient)) {
+    errors.push('recipient is required and must be an object');
+  } else {
+    requireString(errors, config.recipient.name, 'recipient.name');
+    optionalString(errors, config.recipient.shortName, 'recipient.shortName');
+  }
+
+  // Hero
+  if (!isObject(config.hero)) {
+    errors.push('hero is required and must be an object');
+  } else {
+    requireString(errors, config.hero.greeting, 'hero.greeting');
+    optionalString(errors, config.hero.subtitle, 'hero.subtitle', true);
+  }
+
+  // Letter
+  if (!isObject(config.letter)) {
+    errors.push('letter is required and must be an object');
+  } else {
+    requireString(errors, config.letter.heading, 'letter.heading');
+    optionalString(errors, config.letter.intro, 'letter.intro');
+    if (!Array.isArray(config.letter.paragraphs) || config.letter.paragraphs.length === 0) {
+      errors.push('letter.paragraphs must be a non-empty array of strings');
+    } else {
+      config.letter.paragraphs.forEach((paragraph, index) => {
+        requireString(errors, paragraph, `letter.paragraphs[${index}]`);
+      });
+    }
+    optionalString(errors, config.letter.signoff, 'letter.signoff');
+    optionalString(errors, config.letter.signature, 'letter.signature');
+    if (config.letter.reveal !== undefined) {
+      validateLetterReveal(errors, config.letter.reveal);
+    }
+  }
+
+  // Slides
+  if (!Array.isArray(config.slides) || config.slides.length === 0) {
+    errors.push('slides must be a non-empty array');
+  } else {
+    config.slides.forEach((slide, index) => {
+      const path = `slides[${index}]`;
+      if (!isObject(slide)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      validateSlideMedia(errors, slide, path);
+      optionalString(errors, slide.year, `${path}.year`, true);
+      optionalString(errors, slide.caption, `${path}.caption`, true);
+    });
+  }
+
+  // Slideshow settings (optional section)
+  if (config.slideshow !== undefined) {
+    if (!isObject(config.slideshow)) {
+      errors.push('slideshow must be an object when present');
+    } else {
+      optionalSeconds(errors, config.slideshow.interval, 'slideshow.interval');
+      optionalBoolean(errors, config.slideshow.autoplay, 'slideshow.autoplay');
+      optionalBoolean(errors, config.slideshow.loop, 'slideshow.loop');
+    }
+  }
+
+  // Countdown gate (optional section)
+  if (config.countdown !== undefined) {
+    validateCountdown(errors, config.countdown);
+  }
+
+  // Confetti display (optional section)
+  if (config.confetti !== undefined) {
+    if (!isObject(config.confetti)) {
+      errors.push('confetti must be an object when present');
+    } else {
+      optionalBoolean(errors, config.confetti.overlay, 'confetti.overlay');
+      optionalBoolean(errors, config.confetti.clickAnywhere, 'confetti.clickAnywhere');
+    }
+  }
+
+  // Background music (optional section)
+  if (config.music !== undefined) {
+    validateMusic(errors, config.music);
+  }
+
+  // Trivia (optional section)
+  if (config.trivia !== undefined) {
+    if (!isObject(config.trivia)) {
+      errors.push('trivia must be an object when present');
+    } else {
+      optionalString(errors, config.trivia.heading, 'trivia.heading');
+      optionalSeconds(errors, config.trivia.timeLimit, 'trivia.timeLimit');
+      if (!Array.isArray(config.trivia.packs) || config.trivia.packs.length === 0) {
+        errors.push('trivia.packs must be a non-empty array of question pack URLs');
+      } else {
+        config.trivia.packs.forEach((pack, index) => {
+          requireString(errors, pack, `trivia.packs[${index}]`);
+        });
+      }
+    }
+  }
+
+  // Intro (optional section; shown unless set to false)
+  if (config.intro !== undefined && config.intro !== false) {
+    if (!isObject(config.intro)) {
+      errors.push('intro must be an object, or false to turn it off');
+    } else {
+      if (config.intro.style !== undefined && !INTRO_STYLES.includes(config.intro.style)) {
+        errors.push(`intro.style must be one of: ${INTRO_STYLES.join(', ')}`);
+      }
+      optionalString(errors, config.intro.title, 'intro.title');
+    }
+  }
+
+  // Easter eggs (optional section)
+  if (config.easterEggs !== undefined) {
+    validateEasterEggs(errors, config.easterEggs);
+  }
+
+  // Guestbook (optional section)
+  if (config.guestbook !== undefined) {
+    validateGuestbook(errors, config.guestbook);
+  }
+
+  // Per-language text (optional section)
+  if (config.translations !== undefined) {
+    validateTranslations(errors, config);
+  }
+
+  // Theme (optional section)
+  if (config.theme !== undefined) {
+    if (!isObject(config.theme)) {
+      errors.push('theme must be an object when present');
+    } else {
+      Object.entries(config.theme).forEach(([property, value]) => {
+        if (!THEME_PROPERTIES.includes(property)) {
+          errors.push(`theme.${property} is not a known theme property (expected one of: ${THEME_PROPERTIES.join(', ')})`);
+        } else {
+          requireString(errors, value, `theme.${property}`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the type-specific fields of a slide
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} slide - Slide entry
+ * @param {string} path - Path used in messages, e.g. "slides[2]"
+ */
+function validateSlideMedia(errors, slide, path) {
+  const type = slide.type === undefined ? 'image' : slide.type;
+
+  switch (type) {
+    case 'image':
+      requireString(errors, slide.image, `${path}.image`);
+      optionalString(errors, slide.full, `${path}.full`);
+      optionalString(errors, slide.srcset, `${path}.srcset`);
+      optionalString(errors, slide.sizes, `${path}.sizes`);
+      optionalString(errors, slide.placeholder, `${path}.placeholder`);
+      break;
+    case 'video':
+    case 'audio':
+      requireString(errors, slide.src, `${path}.src`);
+      optionalString(errors, slide.poster, `${path}.poster`);
+      if (slide.tracks !== undefined) {
+        if (!Array.isArray(slide.tracks)) {
+          errors.push(`${path}.tracks must be an array when present`);
+        } else {
+          slide.tracks.forEach((track, index) => validateTrack(errors, track, `${path}.tracks[${index}]`));
+        }
+      }
+      break;
+    case 'card':
+      requireString(errors, slide.text, `${path}.text`);
+      optionalString(errors, slide.title, `${path}.title`);
+      break;
+    default:
+      errors.push(`${path}.type must be one of: ${SLIDE_TYPES.join(', ')}`);
+  }
+}
+
+function validateTrack(errors, track, path) {
+  if (!isObject(track)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  requireString(errors, track.src, `${path}.src`);
+  requireString(errors, track.srclang, `${path}.srclang`);
+  optionalString(errors, track.label, `${path}.label`);
+  if (track.kind !== undefined && !TRACK_KINDS.includes(track.kind)) {
+    errors.push(`${path}.kind must be "subtitles" or "captions"`);
+  }
+  optionalBoolean(errors, track.default, `${path}.default`);
+}
+
+/**
+ * Validate the music section: a playlist plus optional crossfade, volume and beat sync
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} music - Music entry
+ */
+function validateMusic(errors, music) {
+  if (!isObject(music)) {
+    errors.push('music must be an object when present');
+    return;
+  }
+
+  if (!Array.isArray(music.tracks) || music.tracks.length === 0) {
+    errors.push('music.tracks must be a non-empty array');
+  } else {
+    music.tracks.forEach((track, index) => {
+      const path = `music.tracks[${index}]`;
+      if (!isObject(track)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      requireString(errors, track.src, `${path}.src`);
+      requireString(errors, track.title, `${path}.title`);
+      optionalString(errors, track.artist, `${path}.artist`);
+    });
+  }
+
+  if (music.crossfade !== undefined && (!Number.isFinite(music.crossfade) || music.crossfade < 0)) {
+    errors.push('music.crossfade must be a number of seconds (0 or more)');
+  }
+  if (music.volume !== undefined && (!Number.isFinite(music.volume) || music.volume < 0 || music.volume > 1)) {
+    errors.push('music.volume must be a number between 0 and 1');
+  }
+
+  if (music.sync !== undefined) {
+    const { sync } = music;
+    if (!isObject(sync)) {
+      errors.push('music.sync must be an object when present');
+      return;
+    }
+    optionalBoolean(errors, sync.beats, 'music.sync.beats');
+    optionalBoolean(errors, sync.confetti, 'music.sync.confetti');
+    if (sync.beatsPerSlide !== undefined && (!Number.isInteger(sync.beatsPerSlide) || sync.beatsPerSlide < 1)) {
+      errors.push('music.sync.beatsPerSlide must be a whole number of 1 or more');
+    }
+    if (sync.sensitivity !== undefined && (!Number.isFinite(sync.sensitivity) || sync.sensitivity <= 1)) {
+      errors.push('music.sync.sensitivity must be a number greater than 1');
+    }
+    optionalString(errors, sync.timeline, 'music.sync.timeline');
+  }
+}
+
+/**
+ * Validate the countdown section: a date, its time zone and optional texts
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} countdown - Countdown entry
+ */
+function validateCountdown(errors, countdown) {
+  if (!isObject(countdown)) {
+    errors.push('countdown must be an object when present');
+    return;
+  }
+
+  if (typeof countdown.date !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(countdown.date) || Number.isNaN(Date.parse(countdown.date))) {
+    errors.push('countdown.date is required and must be a date such as "2025-11-20" or "2025-11-20T00:00"');
+  }
+
+  optionalString(errors, countdown.timeZone, 'countdown.timeZone');
+  if (typeof countdown.timeZone === 'string' && countdown.timeZone.trim() !== '') {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: countdown.timeZone });
+    } catch (error) {
+      errors.push(`countdown.timeZone "${countdown.timeZone}" is not a known time zone (e.g. "Asia/Jakarta")`);
+    }
+  }
+
+  optionalString(errors, countdown.heading, 'countdown.heading');
+  optionalString(errors, countdown.message, 'countdown.message');
+}
+
+/**
+ * Validate the letter's reveal settings: the mode and its options
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} reveal - `letter.reveal` entry
+ */
+function validateLetterReveal(errors, reveal) {
+  if (!isObject(reveal)) {
+    errors.push('letter.reveal must be an object when present');
+    return;
+  }
+
+  if (reveal.mode !== undefined && !LETTER_REVEAL_MODES.includes(reveal.mode)) {
+    errors.push(`letter.reveal.mode must be one of: ${LETTER_REVEAL_MODES.join(', ')}`);
+  }
+  optionalBoolean(errors, reveal.handwriting, 'letter.reveal.handwriting');
+  optionalBoolean(errors, reveal.sound, 'letter.reveal.sound');
+
+  const typewriter = reveal.mode === 'typewriter';
+  if (reveal.sound !== undefined && !typewriter) {
+    errors.push('letter.reveal.sound only applies to the typewriter mode');
+  }
+  if (reveal.speed !== undefined) {
+    if (!typewriter) {
+      errors.push('letter.reveal.speed only applies to the typewriter mode');
+    } else if (!Number.isFinite(reveal.speed) || reveal.speed <= 0) {
+      errors.push('letter.reveal.speed must be a positive number of characters per second');
+    }
+  }
+}
+
+/**
+ * Validate the easter egg section: the triggers to arm and the secrets they unlock
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} easterEggs - Easter egg entry
+ */
+function validateEasterEggs(errors, easterEggs) {
+  if (!isObject(easterEggs)) {
+    errors.push('easterEggs must be an object when present');
+    return;
+  }
+
+  if (!Array.isArray(easterEggs.triggers) || easterEggs.triggers.length === 0) {
+    errors.push('easterEggs.triggers must be a non-empty array');
+  } else {
+    const seen = new Set();
+    easterEggs.triggers.forEach((trigger, index) => {
+      const path = `easterEggs.triggers[${index}]`;
+      if (!isObject(trigger)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (!EASTER_EGG_TRIGGERS.includes(trigger.type)) {
+        errors.push(`${path}.type must be one of: ${EASTER_EGG_TRIGGERS.join(', ')}`);
+      } else if (seen.has(trigger.type)) {
+        errors.push(`${path}.type "${trigger.type}" is listed more than once`);
+      }
+      seen.add(trigger.type);
+      if (trigger.count !== undefined) {
+        if (trigger.type !== 'heroClicks' && trigger.type !== 'stars') {
+          errors.push(`${path}.count only applies to heroClicks and stars triggers`);
+        } else if (!Number.isInteger(trigger.count) || trigger.count < 1) {
+          errors.push(`${path}.count must be a whole number of 1 or more`);
+        }
+      }
+    });
+  }
+
+  if (!Array.isArray(easterEggs.secrets) || easterEggs.secrets.length === 0) {
+    errors.push('easterEggs.secrets must be a non-empty array');
+  } else {
+    easterEggs.secrets.forEach((secret, index) => {
+      const path = `easterEggs.secrets[${index}]`;
+      if (!isObject(secret)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      optionalString(errors, secret.title, `${path}.title`);
+      optionalString(errors, secret.message, `${path}.message`);
+      optionalString(errors, secret.image, `${path}.image`);
+      optionalString(errors, secret.alt, `${path}.alt`, true);
+      if (secret.message === undefined && secret.image === undefined) {
+        errors.push(`${path} needs a message, an image or both`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate the translations section: per-language overrides of the page text
+ * Each language must still make a valid config once merged.
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} config - Whole config, as translations are checked merged
+ */
+function validateTranslations(errors, config) {
+  if (!isObject(config.translations)) {
+    errors.push('translations must be an object when present');
+    return;
+  }
+
+  const untranslated = { ...config, translations: undefined };
+  const baseErrors = validateConfig(untranslated);
+
+  Object.entries(config.translations).forEach(([language, translation]) => {
+    const path = `translations.${language}`;
+    if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(language)) {
+      errors.push(`${path} must be keyed by a language code such as "id"`);
+    }
+    if (!isObject(translation)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    Object.entries(translation).forEach(([section, fields]) => {
+      const allowed = TRANSLATABLE_SECTIONS[section];
+      if (allowed === undefined) {
+        errors.push(`${path}.${section} can't be translated (expected one of: ${Object.keys(TRANSLATABLE_SECTIONS).join(', ')})`);
+      } else if (!isObject(fields)) {
+        errors.push(`${path}.${section} must be an object`);
+      } else if (allowed) {
+        Object.keys(fields)
+          .filter(field => !allowed.includes(field))
+          .forEach(field => errors.push(`${path}.${section}.${field} can't be translated (expected one of: ${allowed.join(', ')})`));
+      }
+    });
+
+    // Only report problems the translation introduces
+    validateConfig(localizeConfig(untranslated, language, config.translations))
+      .filter(problem => !baseErrors.includes(problem))
+      .forEach(problem => errors.push(`${path}: ${problem}`));
+  });
+}
+
+/**
+ * Apply a language's `translations` entry over the config
+ * Only sections the config already has are translated.
+ * @param {Object} config - Validated config
+ * @param {string} language - Language code such as "id"
+ * @param {Object} translations - Translations to use (default: config.translations)
+ * @returns {Object} The config with that language's text, or the config itself when it has none
+ */
+export function localizeConfig(config, language, translations = config.translations) {
+  const translation = isObject(translations) ? translations[language] : undefined;
+  if (!isObject(translation)) return config;
+
+  const localized = { ...config };
+  Object.keys(TRANSLATABLE_SECTIONS).forEach(section => {
+    if (isObject(config[section]) && isObject(translation[section])) {
+      localized[section] = { ...config[section], ...translation[section] };
+    }
+  });
+  return localized;
+}
+
+/**
+ * Validate the guestbook section: a static source, a storage backend, or both
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} guestbook - Guestbook entry
+ */
+function validateGuestbook(errors, guestbook) {
+  if (!isObject(guestbook)) {
+    errors.push('guestbook must be an object when present');
+    return;
+  }
+
+  if (guestbook.source === undefined && guestbook.storage === undefined) {
+    errors.push('guestbook needs a source, a storage backend, or both');
+  }
+  optionalString(errors, guestbook.source, 'guestbook.source');
+  optionalString(errors, guestbook.heading, 'guestbook.heading');
+  if (guestbook.pageSize !== undefined &&
+      (!Number.isInteger(guestbook.pageSize) || guestbook.pageSize < 1)) {
+    errors.push('guestbook.pageSize must be a positive integer');
+  }
+
+  if (guestbook.storage !== undefined) {
+    const { storage } = guestbook;
+    if (!isObject(storage)) {
+      errors.push('guestbook.storage must be an object when present');
+    } else if (storage.type === 'rest') {
+      requireString(errors, storage.endpoint, 'guestbook.storage.endpoint');
+    } else if (storage.type === 'local') {
+      optionalString(errors, storage.key, 'guestbook.storage.key');
+    } else {
+      errors.push('guestbook.storage.type must be "local" or "rest"');
+    }
+  }
+}
+
+/**
+ * Fetch, parse and validate a trivia question pack
+ * @param {string} url - Location of the pack JSON
+ * @param {Object} options - Validation options
+ * @param {Object[]} options.slides - Slideshow entries "photo" questions may point at
+ * @returns {Promise<Object>} The validated pack ({ title, questions })
+ * @throws {ConfigError} When the file is missing, malformed or invalid
+ */
+export async function loadTriviaPack(url, options = {}) {
+  const pack = await fetchJson(url);
+
+  const errors = validateTriviaPack(pack, options);
+  if (errors.length > 0) {
+    throw new ConfigError(problemSummary(url, errors), errors);
+  }
+
+  return pack;
+}
+
+/**
+ * Check a trivia pack against the expected shape
+ * @param {Object} pack - Parsed pack
+ * @param {Object} options - Validation options
+ * @param {Object[]} options.slides - Slideshow entries "photo" questions may point at
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+export function validateTriviaPack(pack, options = {}) {
+  const errors = [];
+
+  if (!isObject(pack)) {
+    return ['Trivia pack must be a JSON object'];
+  }
+
+  optionalString(errors, pack.title, 'title');
+
+  if (!Array.isArray(pack.questions) || pack.questions.length === 0) {
+    errors.push('questions must be a non-empty array');
+  } else {
+    pack.questions.forEach((question, index) => {
+      validateQuestion(errors, question, `questions[${index}]`, options.slides);
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Fetch, parse and validate a music timeline
+ * @param {string} url - Location of the timeline JSON
+ * @param {Object} options - Validation options
+ * @param {number} options.slideCount - Number of slides "slide" cues may point at
+ * @param {number} options.trackCount - Number of playlist tracks the timeline may follow
+ * @returns {Promise<Object>} The validated timeline ({ track, cues })
+ * @throws {ConfigError} When the file is missing, malformed or invalid
+ */
+export async function loadTimeline(url, options = {}) {
+  const timeline = await fetchJson(url);
+
+  const errors = validateTimeline(timeline, options);
+  if (errors.length > 0) {
+    throw new ConfigError(problemSummary(url, errors), errors);
+  }
+
+  return timeline;
+}
+
+/**
+ * Check a music timeline against the expected shape
+ * @param {Object} timeline - Parsed timeline
+ * @param {Object} options - Validation options
+ * @param {number} options.slideCount - Number of slides "slide" cues may point at
+ * @param {number} options.trackCount - Number of playlist tracks the timeline may follow
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+export function validateTimeline(timeline, { slideCount = Infinity, trackCount = Infinity } = {}) {
+  const errors = [];
+
+  if (!isObject(timeline)) {
+    return ['Timeline must be a JSON object'];
+  }
+
+  if (timeline.track !== undefined) {
+    requireIndex(errors, timeline.track, trackCount, 'track');
+  }
+
+  if (!Array.isArray(timeline.cues) || timeline.cues.length === 0) {
+    errors.push('cues must be a non-empty array');
+    return errors;
+  }
+
+  timeline.cues.forEach((cue, index) => {
+    const path = `cues[${index}]`;
+    if (!isObject(cue)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+    if (!Number.isFinite(cue.time) || cue.time < 0) {
+      errors.push(`${path}.time must be a number of seconds (0 or more)`);
+    }
+    switch (cue.action) {
+      case 'slide':
+        requireIndex(errors, cue.index, slideCount, `${path}.index`);
+        break;
+      case 'confetti':
+        if (cue.count !== undefined && (!Number.isInteger(cue.count) || cue.count < 1)) {
+          errors.push(`${path}.count must be a whole number of 1 or more`);
+        }
+        break;
+      case 'beats':
+        if (typeof cue.enabled !== 'boolean') {
+          errors.push(`${path}.enabled must be true or false`);
+        }
+        break;
+      default:
+        if (!TIMELINE_ACTIONS.includes(cue.action)) {
+          errors.push(`${path}.action must be one of: ${TIMELINE_ACTIONS.join(', ')}`);
+        }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a single trivia question of any supported type
+ * @param {string[]} errors - Error list to append to
+ * @param {Object} question - Question entry
+ * @param {string} path - Location of the entry for error messages
+ * @param {Object[]} slides - Slideshow entries "photo" questions may point at (unchecked when absent)
+ */
+function validateQuestion(errors, question, path, slides = null) {
+  if (!isObject(question)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  requireString(errors, question.question, `${path}.question`);
+  optionalString(errors, question.explanation, `${path}.explanation`, true);
+  optionalSeconds(errors, question.timeLimit, `${path}.timeLimit`);
+
+  const type = question.type || 'choice';
+
+  if (type === 'choice') {
+    if (!Array.isArray(question.options) || question.options.length < 2) {
+      errors.push(`${path}.options must be an array of at least two strings`);
+      return;
+    }
+    question.options.forEach((option, index) => {
+      requireString(errors, option, `${path}.options[${index}]`);
+    });
+    requireIndex(errors, question.correct, question.options.length, `${path}.correct`);
+  } else if (type === 'boolean') {
+    if (typeof question.answer !== 'boolean') {
+      errors.push(`${path}.answer must be true or false`);
+    }
+  } else if (type === 'text') {
+    if (!Array.isArray(question.answers) || question.answers.length === 0) {
+      errors.push(`${path}.answers must be a non-empty array of accepted answers`);
+      return;
+    }
+    question.answers.forEach((answer, index) => {
+      requireString(errors, answer, `${path}.answers[${index}]`);
+    });
+  } else if (type === 'photo') {
+    if (!Array.isArray(question.photos) || question.photos.length < 2) {
+      errors.push(`${path}.photos must be an array of at least two slide indexes`);
+      return;
+    }
+    const slideCount = slides ? slides.length : Infinity;
+    question.photos.forEach((slideIndex, index) => {
+      const photoPath = `${path}.photos[${index}]`;
+      requireIndex(errors, slideIndex, slideCount, photoPath);
+      // Cards, and video or audio slides without a poster, have no picture to show
+      const slide = slides && Number.isInteger(slideIndex) ? slides[slideIndex] : undefined;
+      if (isObject(slide) && !slide.image && !slide.poster) {
+        errors.push(`${photoPath} must point at a slide with an image or a poster`);
+      }
+    });
+    requireIndex(errors, question.correct, question.photos.length, `${path}.correct`);
+  } else {
+    errors.push(`${path}.type must be one of: choice, boolean, text, photo`);
+  }
+}
+
+function optionalSeconds(errors, value, path) {
+  if (value !== undefined && (!Number.isFinite(value) || value <= 0)) {
+    errors.push(`${path} must be a positive number of seconds`);
+  }
+}
+
+function optionalBoolean(errors, value, path) {
+  if (value !== undefined && typeof value !== 'boolean') {
+    errors.push(`${path} must be true or false`);
+  }
+}
+
+function requireIndex(errors, value, length, path) {
+  if (!Number.isInteger(value) || value < 0 || value >= length) {
+    const range = Number.isFinite(length) ? `between 0 and ${length - 1}` : 'of 0 or more';
+    errors.push(`${path} must be an index ${range}`);
+  }
+}
+
+/**
+ * Apply theme overrides as CSS custom properties on the document root,
+ * clearing any overrides left by the previously rendered recipient
+ * @param {Object} theme - Map of custom property names to values
+ */
+export function applyTheme(theme = {}) {
+  const root = document.documentElement;
+  THEME_PROPERTIES.forEach(property => root.style.removeProperty(`--${property}`));
+  Object.entries(theme).forEach(([property, value]) => {
+    root.style.setProperty(`--${property}`, value);
+  });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireString(errors, value, path) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${path} is required and must be a non-empty string`);
+  }
+}
+
+function optionalString(errors, value, path, allowEmpty = false) {
+  if (value === undefined) return;
+  if (typeof value !== 'string' || (!allowEmpty && value.trim() === '')) {
+    errors.push(`${path} must be a ${allowEmpty ? '' : 'non-empty '}string`);
+  }
+}
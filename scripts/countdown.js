@@ -0,0 +1,215 @@
+/**
+ * Countdown Module
+ * Live days/hours/minutes/seconds countdown shown before the birthday moment
+ * @module countdown
+ *
+ * Usage:
+ *   const target = getCountdownTarget('2025-11-20T00:00', 'Asia/Jakarta');
+ *   const countdown = new Countdown(panel, { target, heading: 'Something is coming…' });
+ *   countdown.on('complete', () => revealPage());
+ *
+ * The date is a wall-clock time in the given IANA time zone, so the page opens
+ * at midnight where the recipient lives whatever the visitor's own zone.
+ * This only hides the page: the config itself stays readable by anyone who looks.
+ */
+
+import { Emitter } from './emitter.js';
+import { t, getLanguage } from './i18n.js';
+
+const UNITS = [
+  { key: 'days', ms: 86400000 },
+  { key: 'hours', ms: 3600000 },
+  { key: 'minutes', ms: 60000 },
+  { key: 'seconds', ms: 1000 }
+];
+
+/**
+ * Countdown timer rendered into a container
+ * Events: "tick" ({ remaining, days, hours, minutes, seconds }), "complete", "destroy"
+ */
+export class Countdown extends Emitter {
+  /**
+   * @param {HTMLElement} root - Container to render into
+   * @param {Object} options - Countdown options
+   * @param {number} options.target - Moment to count down to (ms since the epoch)
+   * @param {string} options.heading - Title above the timer
+   * @param {string} options.message - Optional line under the title
+   * @param {string} options.timeZone - Zone the target is shown in (default: the visitor's)
+   */
+  constructor(root, options = {}) {
+    super();
+
+    if (!root) {
+      throw new Error('Countdown needs a root element');
+    }
+
+    this.root = root;
+    this.target = options.target;
+    this.heading = options.heading || t('countdown.heading');
+    this.message = options.message || '';
+    this.timeZone = options.timeZone;
+    this.timer = null;
+    this.completed = false;
+
+    this.render();
+    this.tick();
+  }
+
+  render() {
+    this.root.innerHTML = '';
+
+    const heading = document.createElement('h2');
+    heading.className = 'countdown-heading';
+    heading.textContent = this.heading;
+    this.root.appendChild(heading);
+
+    if (this.message) {
+      const message = document.createElement('p');
+      message.className = 'countdown-message';
+      message.textContent = this.message;
+      this.root.appendChild(message);
+    }
+
+    const timer = document.createElement('div');
+    timer.className = 'countdown-timer';
+    timer.setAttribute('role', 'timer');
+
+    this.valueElements = {};
+    UNITS.forEach(unit => {
+      const cell = document.createElement('div');
+      cell.className = 'countdown-unit';
+
+      const value = document.createElement('span');
+      value.className = 'countdown-value';
+      const label = document.createElement('span');
+      label.className = 'countdown-label';
+      label.textContent = t(`countdown.${unit.key}`);
+
+      cell.appendChild(value);
+      cell.appendChild(label);
+      timer.appendChild(cell);
+      this.valueElements[unit.key] = value;
+    });
+    this.root.appendChild(timer);
+
+    const when = document.createElement('p');
+    when.className = 'countdown-when';
+    when.textContent = t('countdown.opens', { when: formatTarget(this.target, this.timeZone) });
+    this.root.appendChild(when);
+  }
+
+  /**
+   * Update the display and schedule the next tick on the next whole second
+   */
+  tick() {
+    const remaining = Math.max(0, this.target - Date.now());
+    const parts = splitDuration(remaining);
+
+    UNITS.forEach(unit => {
+      this.valueElements[unit.key].textContent = String(parts[unit.key]).padStart(2, '0');
+    });
+    this.emit('tick', { remaining, ...parts });
+
+    if (remaining === 0) {
+      this.complete();
+      return;
+    }
+
+    // Re-reading the clock every tick keeps it right after sleep or a background tab
+    const untilNextSecond = remaining % 1000 || 1000;
+    this.timer = setTimeout(() => this.tick(), untilNextSecond);
+  }
+
+  complete() {
+    if (this.completed) return;
+    this.completed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.emit('complete');
+  }
+
+  /**
+   * Stop the timer and empty the container
+   */
+  destroy() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.root.innerHTML = '';
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @param {number} ms - Duration
+ * @returns {{days: number, hours: number, minutes: number, seconds: number}} Whole units
+ */
+function splitDuration(ms) {
+  // Round up so the display reaches 00:00:00:00 exactly at the target
+  let rest = Math.ceil(ms / 1000) * 1000;
+  const parts = {};
+  UNITS.forEach(unit => {
+    parts[unit.key] = Math.floor(rest / unit.ms);
+    rest -= parts[unit.key] * unit.ms;
+  });
+  return parts;
+}
+
+/**
+ * @param {number} target - Moment (ms since the epoch)
+ * @param {string} timeZone - IANA zone, or undefined for the visitor's
+ * @returns {string} e.g. "Thursday, 20 November 2025 at 00:00 (Asia/Jakarta)"
+ */
+function formatTarget(target, timeZone) {
+  const text = new Intl.DateTimeFormat(getLanguage(), {
+    dateStyle: 'full',
+    timeStyle: 'short',
+    timeZone
+  }).format(target);
+  return timeZone ? `${text} (${timeZone})` : text;
+}
+
+/**
+ * Turn a wall-clock date in a time zone into a moment
+ * @param {string} date - "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]"; an explicit offset or "Z" wins over the zone
+ * @param {string} timeZone - IANA zone such as "Asia/Jakarta" (default: the visitor's)
+ * @returns {number} Milliseconds since the epoch, or NaN when the date can't be read
+ */
+export function getCountdownTarget(date, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(date);
+  if (!match) return Date.parse(date);
+
+  const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second).getTime();
+
+  // Treat the wall-clock time as UTC, then correct by the zone's offset at that moment.
+  // The second pass settles dates next to a daylight-saving change.
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let moment = wallClock - zoneOffset(wallClock, timeZone);
+  moment = wallClock - zoneOffset(moment, timeZone);
+  return moment;
+}
+
+/**
+ * @param {number} moment - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone
+ * @returns {number} How far the zone's clock is ahead of UTC at that moment (ms)
+ */
+function zoneOffset(moment, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(moment).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(moment / 1000) * 1000;
+}
@@ -0,0 +1,361 @@
+/**
+ * Easter Eggs Module
+ * Hidden triggers that progressively unlock secret messages and photos
+ * @module easter-eggs
+ *
+ * Trigger types (see EASTER_EGG_TRIGGERS in config.js):
+ * - "konami": type ↑ ↑ ↓ ↓ ← → ← → B A anywhere on the page
+ * - "heroClicks": click the hero name `count` times in a row (default 7)
+ * - "stars": tap every one of `count` wishing stars in the sky ornaments (default 5)
+ * - "perfectTrivia": answer every trivia question correctly
+ *
+ * Each newly found egg unlocks the next entry of `secrets`, shown in the
+ * .secret-message modal. Found eggs are remembered per recipient, and finding
+ * one again re-opens the secret it unlocked.
+ *
+ * Usage:
+ *   const eggs = new EasterEggs({ triggers, secrets, storageKey: 'easter-eggs:kyla' });
+ *   eggs.on('found', ({ count, total }) => ...);
+ *   eggs.watchGame(game);
+ */
+
+import { Emitter } from './emitter.js';
+import { triggerConfetti } from './confetti.js';
+import { t, onLanguageChange } from './i18n.js';
+
+const KONAMI_CODE = ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a'];
+
+const DEFAULT_HERO_CLICKS = 7;
+const DEFAULT_STAR_COUNT = 5;
+
+// Longest pause (ms) between hero name clicks that still counts as "in a row"
+const CLICK_STREAK_GAP = 1500;
+
+/**
+ * Easter egg triggers and the secret-message modal
+ * Events: "found" ({ trigger, count, total, secret, repeat }), "open" ({ secret }),
+ * "close", "destroy"
+ */
+export class EasterEggs extends Emitter {
+  /**
+   * @param {Object} options - Easter egg options
+   * @param {Object[]} options.triggers - Triggers to arm ({ type, count })
+   * @param {Object[]} options.secrets - Unlockable secrets ({ title, message, image, alt }), in order
+   * @param {string} options.storageKey - localStorage key for the eggs found so far
+   */
+  constructor(options = {}) {
+    super();
+    this.triggers = options.triggers || [];
+    this.secrets = options.secrets || [];
+    this.storageKey = options.storageKey || null;
+    this.found = this.loadFound();
+    this.modal = null;
+    this.shown = null;
+    this.returnFocus = null;
+    this.konamiProgress = 0;
+    this.heroClicks = { count: 0, last: 0 };
+    this.wishingStars = [];
+    this.listeners = new AbortController();
+
+    this.triggers.forEach(trigger => this.arm(trigger));
+
+    const offLanguage = onLanguageChange(() => this.applyLanguage());
+    this.listeners.signal.addEventListener('abort', offLanguage);
+  }
+
+  /**
+   * Start listening for one trigger
+   * @param {Object} trigger - Trigger entry ({ type, count })
+   */
+  arm(trigger) {
+    const { signal } = this.listeners;
+
+    switch (trigger.type) {
+      case 'konami':
+        document.addEventListener('keydown', (e) => this.handleKonamiKey(e), { signal });
+        break;
+      case 'heroClicks': {
+        const heroName = document.querySelector('.hero-name');
+        if (!heroName) {
+          console.warn('Hero name not found; the heroClicks easter egg is disabled');
+          return;
+        }
+        const needed = trigger.count ?? DEFAULT_HERO_CLICKS;
+        heroName.addEventListener('click', () => this.handleHeroClick(needed), { signal });
+        break;
+      }
+      case 'stars':
+        this.armStars(trigger.count ?? DEFAULT_STAR_COUNT);
+        break;
+      case 'perfectTrivia':
+        // Armed by watchGame() once the trivia game exists
+        break;
+      default:
+        console.warn(`Unknown easter egg trigger "${trigger.type}"`);
+    }
+  }
+
+  /**
+   * @param {KeyboardEvent} e - keydown anywhere on the page
+   */
+  handleKonamiKey(e) {
+    // Typing a trivia answer or a guestbook message shouldn't count
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === KONAMI_CODE[this.konamiProgress]) {
+      this.konamiProgress++;
+    } else {
+      // A wrong key may still be the start of a fresh attempt
+      this.konamiProgress = key === KONAMI_CODE[0] ? 1 : 0;
+    }
+
+    if (this.konamiProgress === KONAMI_CODE.length) {
+      this.konamiProgress = 0;
+      this.unlock('konami');
+    }
+  }
+
+  /**
+   * @param {number} needed - Clicks in a row that find the egg
+   */
+  handleHeroClick(needed) {
+    const now = Date.now();
+    const streak = this.heroClicks;
+    streak.count = now - streak.last <= CLICK_STREAK_GAP ? streak.count + 1 : 1;
+    streak.last = now;
+
+    if (streak.count >= needed) {
+      streak.count = 0;
+      this.unlock('heroClicks');
+    }
+  }
+
+  /**
+   * Turn some of the sky ornament stars into tappable wishing stars
+   * The stars nearest the left and right edges are picked, as content covers the middle.
+   * @param {number} count - Number of wishing stars
+   */
+  armStars(count) {
+    const stars = [...document.querySelectorAll('.sky-ornaments .star')];
+    if (stars.length === 0) {
+      console.warn('Sky ornaments not found; the stars easter egg is disabled');
+      return;
+    }
+
+    const distanceFromCentre = star => Math.abs(parseFloat(star.style.left || '50') - 50);
+    this.wishingStars = stars
+      .sort((a, b) => distanceFromCentre(b) - distanceFromCentre(a))
+      .slice(0, count);
+
+    const { signal } = this.listeners;
+    this.wishingStars.forEach(star => {
+      star.classList.add('wishing-star');
+      star.addEventListener('click', () => {
+        star.classList.add('is-lit');
+        if (this.wishingStars.every(wishingStar => wishingStar.classList.contains('is-lit'))) {
+          this.wishingStars.forEach(wishingStar => wishingStar.classList.remove('is-lit'));
+          this.unlock('stars');
+        }
+      }, { signal });
+    });
+  }
+
+  /**
+   * Arm the perfectTrivia trigger on a trivia game
+   * @param {TriviaGame|null} game - The page game
+   */
+  watchGame(game) {
+    if (!game || this.listeners.signal.aborted) return;
+    if (!this.triggers.some(trigger => trigger.type === 'perfectTrivia')) return;
+
+    const off = game.on('end', ({ correct, total }) => {
+      if (total > 0 && correct === total) this.unlock('perfectTrivia');
+    });
+    this.listeners.signal.addEventListener('abort', off);
+  }
+
+  /**
+   * Record a found egg and show the secret it unlocks
+   * @param {string} type - Trigger type
+   */
+  unlock(type) {
+    const repeat = this.found.includes(type);
+    if (!repeat) {
+      this.found.push(type);
+      this.saveFound();
+    }
+
+    const count = this.found.length;
+    const secret = this.secrets[Math.min(this.found.indexOf(type), this.secrets.length - 1)];
+    this.emit('found', { trigger: type, count, total: this.triggers.length, secret, repeat });
+
+    if (!repeat) {
+      triggerConfetti({ count: 80, shapes: ['star', 'heart'] });
+    }
+    if (secret) this.open(secret, this.found.indexOf(type) + 1);
+  }
+
+  /**
+   * Show a secret in the .secret-message modal
+   * @param {Object} secret - Secret entry ({ title, message, image, alt })
+   * @param {number} number - Which egg unlocked it (1-based)
+   */
+  open(secret, number) {
+    this.close();
+    this.returnFocus = document.activeElement;
+
+    const modal = document.createElement('div');
+    modal.className = 'secret-message';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', 'secret-title');
+
+    const content = document.createElement('div');
+    content.className = 'secret-content';
+
+    const title = document.createElement('p');
+    title.id = 'secret-title';
+    title.textContent = secret.title || t('eggs.defaultTitle');
+    content.appendChild(title);
+
+    if (secret.message) {
+      const message = document.createElement('p');
+      message.textContent = secret.message;
+      content.appendChild(message);
+    }
+
+    if (secret.image) {
+      const image = document.createElement('img');
+      image.className = 'secret-image';
+      image.src = secret.image;
+      image.alt = secret.alt || '';
+      content.appendChild(image);
+    }
+
+    const progress = document.createElement('span');
+    progress.className = 'secret-progress';
+    progress.textContent = t('eggs.progress', { n: number, total: this.triggers.length });
+    content.appendChild(progress);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'close-btn';
+    closeBtn.setAttribute('aria-label', t('eggs.close'));
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', () => this.close());
+    content.appendChild(closeBtn);
+
+    modal.appendChild(content);
+
+    // Clicking the backdrop closes the secret
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.close();
+    });
+    modal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Tab') {
+        // The close button is the only control
+        e.preventDefault();
+        closeBtn.focus();
+      }
+    });
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+    this.shown = { secret, number };
+    closeBtn.focus();
+    this.emit('open', { secret });
+  }
+
+  /**
+   * Relabel an open secret after a language switch
+   */
+  applyLanguage() {
+    if (!this.modal) return;
+
+    const { secret, number } = this.shown;
+    if (!secret.title) this.modal.querySelector('#secret-title').textContent = t('eggs.defaultTitle');
+    this.modal.querySelector('.secret-progress').textContent = t('eggs.progress', { n: number, total: this.triggers.length });
+    this.modal.querySelector('.close-btn').setAttribute('aria-label', t('eggs.close'));
+  }
+
+  /**
+   * Hide the secret modal, if open
+   */
+  close() {
+    if (!this.modal) return;
+
+    this.modal.remove();
+    this.modal = null;
+    this.shown = null;
+    if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+    this.emit('close');
+  }
+
+  /**
+   * @returns {string[]} Trigger types found on earlier visits
+   */
+  loadFound() {
+    if (!this.storageKey) return [];
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved.filter(type => typeof type === 'string') : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveFound() {
+    if (!this.storageKey) return;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.found));
+    } catch (error) {
+      console.warn('Could not save easter egg progress:', error);
+    }
+  }
+
+  /**
+   * Disarm every trigger and close the modal
+   */
+  destroy() {
+    this.close();
+    this.listeners.abort();
+    this.wishingStars.forEach(star => star.classList.remove('wishing-star', 'is-lit'));
+    this.wishingStars = [];
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+// Page easter eggs managed by initEasterEggs()
+let instance = null;
+
+/**
+ * Initialize the page easter eggs
+ * Safe to call again on route changes; the previous eggs are disarmed.
+ * @param {Object|undefined} easterEggs - Easter egg section of the celebration config ({ triggers, secrets })
+ * @param {Object} options - Easter egg options
+ * @param {string} options.storageKey - localStorage key for the eggs found so far
+ * @returns {EasterEggs|null} The eggs, or null when the recipient has none
+ */
+export function initEasterEggs(easterEggs, options = {}) {
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  if (!easterEggs) return null;
+
+  instance = new EasterEggs({
+    triggers: easterEggs.triggers,
+    secrets: easterEggs.secrets,
+    storageKey: options.storageKey
+  });
+  return instance;
+}
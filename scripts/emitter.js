@@ -0,0 +1,59 @@
+/**
+ * Event Emitter Module
+ * Minimal event hooks shared by the instantiable components
+ * @module emitter
+ */
+
+export class Emitter {
+  constructor() {
+    this._handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (!this._handlers.has(event)) {
+      this._handlers.set(event, new Set());
+    }
+    this._handlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(event, handler) {
+    const handlers = this._handlers.get(event);
+    if (handlers) handlers.delete(handler);
+  }
+
+  /**
+   * Call every handler for an event; one failing handler doesn't stop the rest
+   * @param {string} event - Event name
+   * @param {*} detail - Payload passed to the handlers
+   */
+  emit(event, detail) {
+    const handlers = this._handlers.get(event);
+    if (!handlers) return;
+    [...handlers].forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`Error in "${event}" handler:`, error);
+      }
+    });
+  }
+
+  /**
+   * Drop every handler
+   */
+  removeAllListeners() {
+    this._handlers.clear();
+  }
+}
@@ -1,378 +1,1105 @@
 /**
- * Birthday Trivia Game Module (Alternative to Slideshow)
- * Simple, accessible quiz game with celebratory animations
+ * Birthday Trivia Game Module
+ * Accessible quiz game built from JSON question packs, with celebratory animations
  * @module game
- * 
- * TO USE THIS INSTEAD OF SLIDESHOW:
- * 1. Replace slideshow section in index.html with game section
- * 2. Import this module instead of slideshow.js in main.js
- * 3. Call initGame() instead of initSlideshow()
+ *
+ * Supported question types (see data/trivia/*.json):
+ * - "choice": pick one of `options`, `correct` is the option index (default type)
+ * - "boolean": true/false statement, `answer` is the boolean
+ * - "text": free-text answer, fuzzy-matched against `answers`
+ * - "photo": pick the slideshow image, `photos` are slide indexes and `correct` indexes into them
+ *
+ * Every question is timed. A correct answer earns BASE_POINTS plus up to
+ * TIME_BONUS for speed, multiplied by the current streak multiplier. The
+ * clock only runs once the player presses Start, and pauses while the tab is
+ * in the background.
+ *
+ * Usage:
+ *   const game = new TriviaGame(rootEl, { packs, recipientName, slides });
+ *   game.on('end', ({ score }) => ...);
+ *   await game.start();   // loads the packs and shows the Start button
  */
 
+import { Emitter } from './emitter.js';
 import { triggerConfetti } from './confetti.js';
+import { loadTriviaPack } from './config.js';
+import { loadLeaderboard, saveScore, exportLeaderboard, importLeaderboard, LeaderboardError } from './leaderboard.js';
+import { t, onLanguageChange } from './i18n.js';
 
-// Game configuration
-const QUESTIONS = [
-  {
-    question: "What is Amanda Kyla's favorite color?",
-    options: ["Blue", "Purple", "Green", "Pink"],
-    correct: 1, // Index of correct answer (Purple)
-    explanation: "Amanda Kyla loves purple!"
-  },
-  {
-    question: "What month was Amanda Kyla born?",
-    options: ["January", "June", "November", "December"],
-    correct: 2,
-    explanation: "Born in November!"
-  },
-  {
-    question: "What's Amanda Kyla's favorite hobby?",
-    options: ["Reading", "Painting", "Hiking", "Cooking"],
-    correct: 0,
-    explanation: "Amanda Kyla is an avid reader!"
-  },
-  {
-    question: "Amanda Kyla's dream vacation destination?",
-    options: ["Paris", "Tokyo", "New York", "Iceland"],
-    correct: 3,
-    explanation: "Iceland's northern lights are calling!"
-  }
-];
-
-// Game state
-let currentQuestion = 0;
-let score = 0;
-let gameContainer, questionElement, optionsContainer, scoreElement, feedbackElement;
+// Delay before moving on to the next question (ms)
+const NEXT_QUESTION_DELAY = 2000;
+
+// Seconds per question unless the config or the question overrides it
+const DEFAULT_TIME_LIMIT = 20;
+const TIMER_TICK = 100;
+const LOW_TIME_WARNING = 5000;
+
+// Scoring
+const BASE_POINTS = 100;
+const TIME_BONUS = 100;
+const STREAK_STEP = 0.25;
+const MAX_MULTIPLIER = 2;
 
 /**
- * Initialize the trivia game
+ * Timed trivia quiz bound to a root element
+ * Events: "question" ({ index, question }), "answer" (answer record plus
+ * score and streak), "end" ({ score, correct, total, bestStreak }), "destroy"
+ *
+ * Answered questions can be revisited with prev()/goTo(); they render locked
+ * with the player's answer. Navigation never skips past the first unanswered question.
+ * After the results, "Review answers" steps through them with Previous / Next
+ * / Back to results.
  */
-export function initGame() {
-  gameContainer = document.getElementById('trivia-game');
-  
-  if (!gameContainer) {
-    console.warn('Game container not found');
-    return;
+export class TriviaGame extends Emitter {
+  /**
+   * @param {HTMLElement} root - Container the game renders into
+   * @param {Object} options - Game options
+   * @param {string[]} options.packs - Trivia pack URLs
+   * @param {number} options.timeLimit - Seconds per question (default: 20)
+   * @param {string} options.recipientName - Name used in the end-of-game messages
+   * @param {Object[]} options.slides - Slideshow entries, used by "photo" questions
+   * @param {string} options.leaderboardKey - localStorage key for the high-score table
+   */
+  constructor(root, options = {}) {
+    super();
+
+    if (!root) {
+      throw new Error('TriviaGame needs a root element');
+    }
+
+    this.root = root;
+    this.packs = options.packs || [];
+    this.timeLimit = options.timeLimit || DEFAULT_TIME_LIMIT;
+    // Falls back to a translated "the birthday star" when empty
+    this.recipientName = options.recipientName || '';
+    this.slides = options.slides || [];
+    this.leaderboardKey = options.leaderboardKey || null;
+
+    this.questions = [];
+    this.loading = false;
+    this.destroyed = false;
+    this.advanceTimer = null;
+    this.timerInterval = null;
+    this.questionStartedAt = 0;
+    this.questionDuration = 0;
+    // Time left on the question when the tab was hidden (ms), null while running
+    this.pausedRemaining = null;
+    // Loaded, waiting for the player to press Start
+    this.ready = false;
+    this.listeners = new AbortController();
+    // Confetti burst from the end screen, cancelled if the game is torn down
+    this.celebration = null;
+    this.resetProgress();
+
+    this.renderShell();
+    this.offLanguage = onLanguageChange(() => this.applyLanguage());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pauseTimer();
+      } else {
+        this.resumeTimer();
+      }
+    }, { signal: this.listeners.signal });
   }
-  
-  questionElement = document.getElementById('question-text');
-  optionsContainer = document.getElementById('options-container');
-  scoreElement = document.getElementById('score-display');
-  feedbackElement = document.getElementById('feedback');
-  
-  // Setup restart button
-  const restartBtn = document.getElementById('restart-game');
-  if (restartBtn) {
-    restartBtn.addEventListener('click', restartGame);
-  }
-  
-  // Load first question
-  loadQuestion(currentQuestion);
-  updateScore();
-}
 
-/**
- * Load a question and its options
- * @param {number} index - Question index
- */
-function loadQuestion(index) {
-  if (!QUESTIONS[index]) {
-    endGame();
-    return;
+  /**
+   * Load the question packs and show the Start button
+   * @returns {Promise<void>} Resolves once the game is ready to start
+   */
+  async start() {
+    this.loading = true;
+    this.questionElement.textContent = t('game.loading');
+
+    const results = await Promise.allSettled(
+      this.packs.map(url => loadTriviaPack(url, { slides: this.slides }))
+    );
+
+    // The game was torn down (e.g. a route change) while the packs were loading
+    if (this.destroyed) return;
+    this.loading = false;
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        this.questions.push(...result.value.questions);
+      } else {
+        console.error(`Error loading trivia pack ${this.packs[index]}:`, result.reason);
+      }
+    });
+
+    if (this.questions.length === 0) {
+      this.questionElement.textContent = t('game.loadError');
+      this.optionsContainer.innerHTML = '';
+      return;
+    }
+
+    // The clock starts when the player does, not when the page renders
+    this.ready = true;
+    this.renderStartScreen();
+    this.updateScore();
+  }
+
+  /**
+   * Show the question count and a Start button in place of the first question
+   */
+  renderStartScreen() {
+    this.questionElement.textContent = t('game.ready', {
+      count: this.questions.length,
+      name: this.recipientName || t('game.defaultName')
+    });
+    this.optionsContainer.className = 'options-container';
+    this.optionsContainer.innerHTML = '';
+
+    const startBtn = document.createElement('button');
+    startBtn.type = 'button';
+    startBtn.className = 'cta-btn game-start';
+    startBtn.textContent = t('game.start');
+    startBtn.addEventListener('click', () => {
+      this.ready = false;
+      this.loadQuestion(this.currentQuestion);
+      // The button is gone; keep keyboard players in the game
+      const firstOption = this.optionsContainer.querySelector('button, input');
+      if (firstOption) firstOption.focus({ preventScroll: true });
+    });
+    this.optionsContainer.appendChild(startBtn);
+  }
+
+  /**
+   * Build the game markup inside the root
+   */
+  renderShell() {
+    this.root.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'game-header';
+
+    this.scoreElement = document.createElement('div');
+    this.scoreElement.className = 'score-display';
+    this.scoreElement.setAttribute('aria-live', 'polite');
+
+    this.progressElement = document.createElement('div');
+    this.progressElement.className = 'game-progress';
+
+    header.appendChild(this.scoreElement);
+    header.appendChild(this.progressElement);
+
+    this.timerElement = document.createElement('div');
+    this.timerElement.className = 'game-timer';
+    this.timerElement.setAttribute('role', 'timer');
+    this.timerElement.setAttribute('aria-label', t('game.timeRemaining'));
+
+    const track = document.createElement('div');
+    track.className = 'game-timer-track';
+    this.timerBar = document.createElement('div');
+    this.timerBar.className = 'game-timer-bar';
+    track.appendChild(this.timerBar);
+
+    this.timerText = document.createElement('span');
+    this.timerText.className = 'game-timer-text';
+
+    this.timerElement.appendChild(track);
+    this.timerElement.appendChild(this.timerText);
+    this.timerElement.hidden = true;
+
+    const content = document.createElement('div');
+    content.className = 'game-content';
+
+    this.questionElement = document.createElement('h3');
+    this.questionElement.className = 'question-text';
+    this.questionElement.setAttribute('aria-live', 'polite');
+
+    this.optionsContainer = document.createElement('div');
+    this.optionsContainer.className = 'options-container';
+
+    this.feedbackElement = document.createElement('div');
+    this.feedbackElement.className = 'feedback';
+    this.feedbackElement.setAttribute('role', 'status');
+
+    // Shown while the player reviews their answers after the results
+    this.reviewNav = document.createElement('div');
+    this.reviewNav.className = 'review-nav';
+    this.reviewNav.hidden = true;
+
+    this.reviewPrevBtn = createReviewButton(() => this.prev());
+    this.reviewNextBtn = createReviewButton(() => this.next());
+    this.reviewResultsBtn = createReviewButton(() => this.endGame());
+    this.reviewNav.appendChild(this.reviewPrevBtn);
+    this.reviewNav.appendChild(this.reviewNextBtn);
+    this.reviewNav.appendChild(this.reviewResultsBtn);
+    this.labelReviewNav();
+
+    content.appendChild(this.questionElement);
+    content.appendChild(this.optionsContainer);
+    content.appendChild(this.feedbackElement);
+    content.appendChild(this.reviewNav);
+
+    this.root.appendChild(header);
+    this.root.appendChild(this.timerElement);
+    this.root.appendChild(content);
   }
-  
-  const question = QUESTIONS[index];
-  
-  // Update question text
-  if (questionElement) {
-    questionElement.textContent = question.question;
-    questionElement.setAttribute('aria-live', 'polite');
-  }
-  
-  // Clear previous options
-  if (optionsContainer) {
-    optionsContainer.innerHTML = '';
-    
-    // Create option buttons
-    question.options.forEach((option, optionIndex) => {
+
+  /**
+   * Show a question; answered ones are shown locked with the player's answer
+   * @param {number} index - Question index (clamped to the first unanswered question)
+   */
+  goTo(index) {
+    if (this.questions.length === 0) return;
+    const target = Math.max(0, Math.min(index, this.answers.length));
+    clearTimeout(this.advanceTimer);
+    this.currentQuestion = target;
+    this.loadQuestion(target);
+  }
+
+  next() {
+    this.goTo(this.currentQuestion + 1);
+  }
+
+  prev() {
+    this.goTo(this.currentQuestion - 1);
+  }
+
+  /**
+   * Load a question and its options
+   * @param {number} index - Question index
+   */
+  loadQuestion(index) {
+    if (!this.questions[index]) {
+      this.endGame();
+      return;
+    }
+
+    const question = this.questions[index];
+    const previousAnswer = this.answers.find(answer => answer.questionIndex === index);
+
+    // Update question text
+    this.questionElement.textContent = question.question;
+
+    // Clear previous options
+    this.optionsContainer.innerHTML = '';
+    this.optionsContainer.className = 'options-container';
+
+    switch (question.type) {
+      case 'boolean':
+        this.renderChoices([t('game.true'), t('game.false')], question.answer ? 0 : 1, question.explanation);
+        break;
+      case 'text':
+        this.renderTextAnswer(question);
+        break;
+      case 'photo':
+        this.renderPhotoChoices(question);
+        break;
+      default:
+        this.renderChoices(question.options, question.correct, question.explanation);
+    }
+
+    // Clear feedback
+    this.feedbackElement.textContent = '';
+    this.feedbackElement.className = 'feedback';
+
+    // Update progress
+    this.updateProgress();
+
+    // Previous / Next / Back to results once the game is over; the last
+    // Next goes back to the results
+    this.reviewNav.hidden = !(previousAnswer && this.finished);
+    this.reviewPrevBtn.disabled = index === 0;
+
+    if (previousAnswer) {
+      this.stopTimer();
+      this.timerElement.hidden = true;
+      this.answered = true;
+      this.showReview(question, previousAnswer);
+      return;
+    }
+
+    this.answered = false;
+    this.startTimer(question.timeLimit || this.timeLimit);
+    this.emit('question', { index, question });
+  }
+
+  /**
+   * Lock a revisited question and mark the answer given earlier
+   * @param {Object} question - Question being shown
+   * @param {Object} answer - Answer record from the first attempt
+   */
+  showReview(question, answer) {
+    this.optionsContainer.querySelectorAll('button, input').forEach(el => {
+      el.disabled = true;
+    });
+
+    if (question.type === 'text') {
+      const input = this.optionsContainer.querySelector('.text-answer-input');
+      if (input) {
+        input.value = answer.response || '';
+        input.classList.add(answer.correct ? 'correct' : 'incorrect');
+      }
+    } else {
+      const buttons = this.optionsContainer.querySelectorAll('.option-btn');
+      const correctButton = buttons[getCorrectIndex(question)];
+      if (correctButton) correctButton.classList.add('correct');
+      if (!answer.correct && buttons[answer.response]) {
+        buttons[answer.response].classList.add('incorrect');
+      }
+    }
+
+    if (answer.correct) {
+      this.feedbackElement.textContent = t('game.reviewCorrect', { points: answer.points });
+      this.feedbackElement.className = 'feedback correct-feedback';
+    } else {
+      const reveal = question.type === 'text' ? ` ${t('game.answerWas', { answer: question.answers[0] })}` : '';
+      this.feedbackElement.textContent = `${t(answer.timedOut ? 'game.reviewTimedOut' : 'game.reviewIncorrect')}${reveal}`;
+      this.feedbackElement.className = 'feedback incorrect-feedback';
+    }
+  }
+
+  labelReviewNav() {
+    this.reviewPrevBtn.textContent = t('game.reviewPrev');
+    this.reviewNextBtn.textContent = t('game.reviewNext');
+    this.reviewResultsBtn.textContent = t('game.reviewResults');
+  }
+
+  /**
+   * Start the countdown for the current question
+   * @param {number} seconds - Time allowed
+   */
+  startTimer(seconds) {
+    this.stopTimer();
+    this.questionStartedAt = performance.now();
+    this.questionDuration = seconds * 1000;
+    this.timerElement.hidden = false;
+    this.updateTimer();
+    this.timerInterval = setInterval(() => this.updateTimer(), TIMER_TICK);
+  }
+
+  stopTimer() {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.pausedRemaining = null;
+  }
+
+  /**
+   * Freeze the countdown, e.g. while the tab is in the background
+   */
+  pauseTimer() {
+    if (!this.timerInterval) return;
+    const remaining = this.getTimeRemaining();
+    this.stopTimer();
+    this.pausedRemaining = remaining;
+  }
+
+  /**
+   * Continue a countdown frozen by pauseTimer()
+   */
+  resumeTimer() {
+    if (this.pausedRemaining === null || this.answered) return;
+    this.questionStartedAt = performance.now() - (this.questionDuration - this.pausedRemaining);
+    this.pausedRemaining = null;
+    this.updateTimer();
+    this.timerInterval = setInterval(() => this.updateTimer(), TIMER_TICK);
+  }
+
+  /**
+   * Redraw the countdown and end the question when it runs out
+   */
+  updateTimer() {
+    const remaining = this.getTimeRemaining();
+    this.timerBar.style.transform = `scaleX(${remaining / this.questionDuration})`;
+    this.timerText.textContent = `${Math.ceil(remaining / 1000)}s`;
+    this.timerElement.classList.toggle('is-low', remaining <= LOW_TIME_WARNING);
+
+    if (remaining === 0) {
+      this.handleTimeout();
+    }
+  }
+
+  getTimeRemaining() {
+    return Math.max(0, this.questionDuration - (performance.now() - this.questionStartedAt));
+  }
+
+  /**
+   * Lock the question and reveal the answer when time runs out
+   */
+  handleTimeout() {
+    const question = this.questions[this.currentQuestion];
+    let explanation = question.explanation || '';
+
+    this.optionsContainer.querySelectorAll('button, input').forEach(el => {
+      el.disabled = true;
+    });
+
+    if (question.type === 'text') {
+      explanation = `${t('game.answerWas', { answer: question.answers[0] })} ${explanation}`;
+    } else {
+      const correctButton = this.optionsContainer.querySelectorAll('.option-btn')[getCorrectIndex(question)];
+      if (correctButton) correctButton.classList.add('correct');
+    }
+
+    this.handleAnswer(false, explanation.trim(), { timedOut: true });
+  }
+
+  /**
+   * Render one button per option (multiple choice and true/false)
+   * @param {string[]} labels - Option labels
+   * @param {number} correctIndex - Index of the correct option
+   * @param {string} explanation - Explanation text
+   */
+  renderChoices(labels, correctIndex, explanation) {
+    labels.forEach((label, optionIndex) => {
       const button = document.createElement('button');
+      button.type = 'button';
       button.className = 'option-btn';
-      button.textContent = option;
-      button.setAttribute('aria-label', `Option ${optionIndex + 1}: ${option}`);
-      button.addEventListener('click', () => handleAnswer(optionIndex, question.correct, question.explanation));
-      optionsContainer.appendChild(button);
+      button.textContent = label;
+      button.setAttribute('aria-label', t('game.option', { n: optionIndex + 1, label }));
+      button.addEventListener('click', () => this.handleChoice(optionIndex, correctIndex, explanation));
+      this.optionsContainer.appendChild(button);
+    });
+  }
+
+  /**
+   * Render the slideshow images as answer buttons
+   * @param {Object} question - Photo question
+   */
+  renderPhotoChoices(question) {
+    this.optionsContainer.classList.add('options-container--photos');
+
+    question.photos.forEach((slideIndex, optionIndex) => {
+      const slide = this.slides[slideIndex];
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'option-btn option-btn--photo';
+      button.setAttribute('aria-label', t('game.photo', { n: optionIndex + 1 }));
+
+      const img = document.createElement('img');
+      // Video and audio slides offer their poster frame
+      const src = slide && (slide.image || slide.poster);
+      if (src) img.src = src;
+      img.alt = '';
+      img.loading = 'lazy';
+      button.appendChild(img);
+
+      button.addEventListener('click', () => this.handleChoice(optionIndex, question.correct, question.explanation));
+      this.optionsContainer.appendChild(button);
     });
   }
-  
-  // Clear feedback
-  if (feedbackElement) {
-    feedbackElement.textContent = '';
-    feedbackElement.className = 'feedback';
+
+  /**
+   * Render a free-text answer form
+   * @param {Object} question - Text question
+   */
+  renderTextAnswer(question) {
+    const form = document.createElement('form');
+    form.className = 'text-answer';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'text-answer-input';
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', t('game.yourAnswer'));
+
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.className = 'option-btn text-answer-submit';
+    submit.textContent = t('game.submit');
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      if (input.value.trim() === '') return;
+
+      input.disabled = true;
+      submit.disabled = true;
+
+      if (this.answered) return;
+      const isCorrect = question.answers.some(answer => isFuzzyMatch(input.value, answer));
+      input.classList.add(isCorrect ? 'correct' : 'incorrect');
+
+      const reveal = isCorrect ? question.explanation : `${t('game.answerWas', { answer: question.answers[0] })} ${question.explanation || ''}`;
+      this.handleAnswer(isCorrect, reveal.trim(), { response: input.value.trim() });
+    });
+
+    // Keep keyboard players in the game without stealing focus on first render
+    // (or from the review navigation)
+    const hadFocus = this.root.contains(document.activeElement) && !this.finished;
+    form.appendChild(input);
+    form.appendChild(submit);
+    this.optionsContainer.appendChild(form);
+    if (hadFocus) input.focus({ preventScroll: true });
   }
-  
-  // Update progress
-  updateProgress();
-}
 
-/**
- * Handle answer selection
- * @param {number} selectedIndex - Index of selected answer
- * @param {number} correctIndex - Index of correct answer
- * @param {string} explanation - Explanation text
- */
-function handleAnswer(selectedIndex, correctIndex, explanation) {
-  const buttons = optionsContainer.querySelectorAll('.option-btn');
-  const isCorrect = selectedIndex === correctIndex;
-  
-  // Disable all buttons
-  buttons.forEach((btn, index) => {
-    btn.disabled = true;
-    
-    // Highlight correct and incorrect
-    if (index === correctIndex) {
-      btn.classList.add('correct');
-    } else if (index === selectedIndex && !isCorrect) {
-      btn.classList.add('incorrect');
+  /**
+   * Handle a button answer (choice, true/false and photo questions)
+   * @param {number} selectedIndex - Index of selected answer
+   * @param {number} correctIndex - Index of correct answer
+   * @param {string} explanation - Explanation text
+   */
+  handleChoice(selectedIndex, correctIndex, explanation) {
+    if (this.answered) return;
+    const buttons = this.optionsContainer.querySelectorAll('.option-btn');
+    const isCorrect = selectedIndex === correctIndex;
+
+    // Disable all buttons
+    buttons.forEach((btn, index) => {
+      btn.disabled = true;
+
+      // Highlight correct and incorrect
+      if (index === correctIndex) {
+        btn.classList.add('correct');
+      } else if (index === selectedIndex && !isCorrect) {
+        btn.classList.add('incorrect');
+      }
+    });
+
+    this.handleAnswer(isCorrect, explanation, { response: selectedIndex });
+  }
+
+  /**
+   * Score an answer and schedule the next question
+   * @param {boolean} isCorrect - Whether the answer was right
+   * @param {string} explanation - Explanation text
+   * @param {Object} details - Extra answer details
+   * @param {boolean} details.timedOut - True when the countdown ran out
+   * @param {number|string} details.response - Option index or typed text, shown when revisiting
+   */
+  handleAnswer(isCorrect, explanation = '', { timedOut = false, response = null } = {}) {
+    if (this.answered) return;
+    this.answered = true;
+    this.stopTimer();
+
+    const timeTaken = Math.min(performance.now() - this.questionStartedAt, this.questionDuration);
+    let points = 0;
+
+    // Update score
+    if (isCorrect) {
+      this.correctCount++;
+      this.streak++;
+      this.bestStreak = Math.max(this.bestStreak, this.streak);
+      points = calculatePoints(timeTaken, this.questionDuration, this.streak);
+      this.score += points;
+    } else {
+      this.streak = 0;
     }
-  });
-  
-  // Update score
-  if (isCorrect) {
-    score++;
-    updateScore();
-    
-    // Show celebratory feedback
-    if (feedbackElement) {
-      feedbackElement.textContent = `🎉 Correct! ${explanation}`;
-      feedbackElement.className = 'feedback correct-feedback';
+
+    const record = {
+      questionIndex: this.currentQuestion,
+      correct: isCorrect,
+      timedOut,
+      timeTaken: Math.round(timeTaken),
+      points,
+      response
+    };
+    this.answers.push(record);
+    this.updateScore();
+
+    if (isCorrect) {
+      // Show celebratory feedback
+      const bonus = this.streak > 1 ? ` ${t('game.streakBonus', { multiplier: getStreakMultiplier(this.streak) })}` : '';
+      this.feedbackElement.textContent = `${t('game.correct', { points })}${bonus} ${explanation}`;
+      this.feedbackElement.className = 'feedback correct-feedback';
+    } else if (timedOut) {
+      this.feedbackElement.textContent = `${t('game.timeUp')} ${explanation}`;
+      this.feedbackElement.className = 'feedback incorrect-feedback';
+    } else {
+      this.feedbackElement.textContent = `${t('game.incorrect')} ${explanation}`;
+      this.feedbackElement.className = 'feedback incorrect-feedback';
+    }
+
+    this.emit('answer', { ...record, score: this.score, streak: this.streak });
+
+    // Move to next question after delay
+    this.advanceTimer = setTimeout(() => this.next(), NEXT_QUESTION_DELAY);
+  }
+
+  /**
+   * Update score display
+   */
+  updateScore() {
+    const bonus = this.streak > 1 ? ` · 🔥 ×${getStreakMultiplier(this.streak)}` : '';
+    this.scoreElement.textContent = `${t('game.score', { score: this.score })}${bonus}`;
+  }
+
+  /**
+   * Update progress indicator
+   */
+  updateProgress() {
+    this.progressElement.textContent = t('game.progress', { n: this.currentQuestion + 1, total: this.questions.length });
+  }
+
+  /**
+   * Relabel the game after a language switch without losing the player's place
+   */
+  applyLanguage() {
+    this.timerElement.setAttribute('aria-label', t('game.timeRemaining'));
+    this.labelReviewNav();
+
+    if (this.questions.length === 0) {
+      this.questionElement.textContent = t(this.loading ? 'game.loading' : 'game.loadError');
+      return;
+    }
+
+    this.updateScore();
+    if (this.ready) {
+      this.renderStartScreen();
+      return;
+    }
+    if (this.finished && this.currentQuestion >= this.questions.length) {
+      // Results were already celebrated; this only redraws them
+      this.endGame();
+      return;
+    }
+
+    this.updateProgress();
+    const question = this.questions[this.currentQuestion];
+    const buttons = this.optionsContainer.querySelectorAll('.option-btn:not(.text-answer-submit)');
+    buttons.forEach((button, optionIndex) => {
+      if (question.type === 'photo') {
+        button.setAttribute('aria-label', t('game.photo', { n: optionIndex + 1 }));
+        return;
+      }
+      if (question.type === 'boolean') {
+        button.textContent = t(optionIndex === 0 ? 'game.true' : 'game.false');
+      }
+      button.setAttribute('aria-label', t('game.option', { n: optionIndex + 1, label: button.textContent }));
+    });
+
+    const input = this.optionsContainer.querySelector('.text-answer-input');
+    if (input) input.setAttribute('aria-label', t('game.yourAnswer'));
+    const submit = this.optionsContainer.querySelector('.text-answer-submit');
+    if (submit) submit.textContent = t('game.submit');
+
+    const answer = this.answers.find(entry => entry.questionIndex === this.currentQuestion);
+    if (answer) this.showReview(question, answer);
+  }
+
+  /**
+   * End game and show results
+   */
+  endGame() {
+    this.stopTimer();
+    this.timerElement.hidden = true;
+    const fromReview = this.reviewNav.contains(document.activeElement);
+    this.reviewNav.hidden = true;
+    this.currentQuestion = this.questions.length;
+
+    // Results can be shown again after reviewing answers; celebrate only once
+    const firstFinish = !this.finished;
+    this.finished = true;
+
+    const percentage = (this.correctCount / this.questions.length) * 100;
+    const name = this.recipientName || t('game.defaultName');
+    let message = '';
+
+    if (percentage === 100) {
+      message = t('game.resultPerfect', { name });
+      if (firstFinish) this.celebration = triggerConfetti({ origin: this.questionElement });
+    } else if (percentage >= 75) {
+      message = t('game.resultGreat', { name });
+      if (firstFinish) this.celebration = triggerConfetti({ origin: this.questionElement, count: 100 });
+    } else if (percentage >= 50) {
+      message = t('game.resultGood', { name });
+    } else {
+      message = t('game.resultThanks', { name });
     }
-  } else {
-    if (feedbackElement) {
-      feedbackElement.textContent = `Not quite! ${explanation}`;
-      feedbackElement.className = 'feedback incorrect-feedback';
+
+    // Show results
+    this.questionElement.textContent = t('game.complete');
+    this.progressElement.textContent = '';
+
+    this.optionsContainer.className = 'options-container';
+    this.optionsContainer.innerHTML = '';
+
+    const results = document.createElement('div');
+    results.className = 'game-results';
+
+    const total = document.createElement('h3');
+    total.textContent = t('game.finalScore', { score: this.score });
+
+    const summary = document.createElement('p');
+    summary.className = 'result-summary';
+    summary.textContent = t('game.summary', {
+      correct: this.correctCount,
+      total: this.questions.length,
+      count: this.bestStreak
+    });
+
+    const resultMessage = document.createElement('p');
+    resultMessage.className = 'result-message';
+    resultMessage.textContent = message;
+
+    const reviewBtn = document.createElement('button');
+    reviewBtn.type = 'button';
+    reviewBtn.className = 'option-btn';
+    reviewBtn.textContent = t('game.review');
+    reviewBtn.addEventListener('click', () => this.goTo(0));
+
+    const restartBtn = document.createElement('button');
+    restartBtn.type = 'button';
+    restartBtn.className = 'cta-btn';
+    restartBtn.textContent = t('game.playAgain');
+    restartBtn.addEventListener('click', () => this.restart());
+
+    results.appendChild(total);
+    results.appendChild(summary);
+    results.appendChild(resultMessage);
+    if (this.leaderboardKey) {
+      results.appendChild(this.renderLeaderboardPanel());
+    }
+    results.appendChild(reviewBtn);
+    results.appendChild(restartBtn);
+    this.optionsContainer.appendChild(results);
+    if (fromReview) reviewBtn.focus({ preventScroll: true });
+
+    this.feedbackElement.textContent = '';
+
+    if (firstFinish) {
+      this.emit('end', {
+        score: this.score,
+        correct: this.correctCount,
+        total: this.questions.length,
+        bestStreak: this.bestStreak
+      });
     }
   }
-  
-  // Move to next question after delay
-  setTimeout(() => {
-    currentQuestion++;
-    loadQuestion(currentQuestion);
-  }, 2000);
+
+  /**
+   * Name entry, high-score table and export/import controls
+   * @returns {HTMLElement} Leaderboard panel
+   */
+  renderLeaderboardPanel() {
+    const key = this.leaderboardKey;
+    const panel = document.createElement('div');
+    panel.className = 'leaderboard-panel';
+
+    const form = document.createElement('form');
+    form.className = 'leaderboard-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.maxLength = 24;
+    input.placeholder = t('game.namePlaceholder');
+    input.setAttribute('aria-label', t('game.nameLabel'));
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'option-btn';
+    saveBtn.textContent = t('game.saveScore');
+
+    form.appendChild(input);
+    form.appendChild(saveBtn);
+
+    const heading = document.createElement('h4');
+    heading.className = 'leaderboard-heading';
+    heading.textContent = t('game.highScores');
+
+    const table = document.createElement('ol');
+    table.className = 'leaderboard';
+
+    const status = document.createElement('p');
+    status.className = 'leaderboard-status';
+    status.setAttribute('role', 'status');
+
+    const actions = document.createElement('div');
+    actions.className = 'leaderboard-actions';
+
+    const exportBtn = document.createElement('button');
+    exportBtn.type = 'button';
+    exportBtn.className = 'leaderboard-action';
+    exportBtn.textContent = t('game.export');
+
+    const importBtn = document.createElement('button');
+    importBtn.type = 'button';
+    importBtn.className = 'leaderboard-action';
+    importBtn.textContent = t('game.import');
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+
+    actions.appendChild(exportBtn);
+    actions.appendChild(importBtn);
+    actions.appendChild(fileInput);
+
+    const refresh = (entries) => renderLeaderboardEntries(table, entries, this.savedEntry);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const date = new Date().toISOString();
+      const entries = saveScore(key, {
+        name: input.value,
+        score: this.score,
+        correct: this.correctCount,
+        total: this.questions.length,
+        bestStreak: this.bestStreak,
+        date
+      });
+      // Storage is blocked or full: keep the form up so the player can retry
+      if (!entries) {
+        status.textContent = t('game.saveFailed');
+        return;
+      }
+      status.textContent = '';
+      this.savedEntry = entries.find(entry => entry.date === date) || null;
+      form.remove();
+      refresh(entries);
+    });
+
+    exportBtn.addEventListener('click', () => {
+      const blob = new Blob([exportLeaderboard(key)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${key.replace(/[^a-z0-9-]+/gi, '-')}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    });
+
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const [file] = fileInput.files;
+      if (!file) return;
+      try {
+        refresh(importLeaderboard(key, await file.text()));
+        status.textContent = t('game.imported');
+      } catch (error) {
+        if (!(error instanceof LeaderboardError)) console.error('Error importing leaderboard:', error);
+        status.textContent = error instanceof LeaderboardError ? t(error.key) : error.message;
+      }
+      fileInput.value = '';
+    });
+
+    const entries = loadLeaderboard(key);
+    // Match the saved row by date; the stored copy is a different object
+    if (this.savedEntry) {
+      this.savedEntry = entries.find(entry => entry.date === this.savedEntry.date) || null;
+    }
+    refresh(entries);
+
+    if (!this.savedEntry) panel.appendChild(form);
+    panel.appendChild(heading);
+    panel.appendChild(table);
+    panel.appendChild(status);
+    panel.appendChild(actions);
+    return panel;
+  }
+
+  /**
+   * Reset score, streak and answer history
+   */
+  resetProgress() {
+    this.currentQuestion = 0;
+    this.score = 0;
+    this.correctCount = 0;
+    this.streak = 0;
+    this.bestStreak = 0;
+    this.answers = [];
+    this.answered = false;
+    this.finished = false;
+    this.savedEntry = null;
+  }
+
+  /**
+   * Restart the game
+   */
+  restart() {
+    clearTimeout(this.advanceTimer);
+    this.ready = false;
+    this.resetProgress();
+    this.updateScore();
+    this.loadQuestion(this.currentQuestion);
+  }
+
+  /**
+   * Get current game state (for testing/debugging)
+   * @returns {Object} Current game state, including per-answer timings in ms
+   */
+  getState() {
+    return {
+      currentQuestion: this.currentQuestion,
+      score: this.score,
+      correctCount: this.correctCount,
+      streak: this.streak,
+      bestStreak: this.bestStreak,
+      multiplier: getStreakMultiplier(this.streak),
+      timeRemaining: this.timerInterval ? Math.round(this.getTimeRemaining()) : null,
+      answers: this.answers.map(answer => ({ ...answer })),
+      totalQuestions: this.questions.length
+    };
+  }
+
+  /**
+   * Stop timers and clear the rendered game
+   */
+  destroy() {
+    this.destroyed = true;
+    clearTimeout(this.advanceTimer);
+    this.stopTimer();
+    if (this.celebration) this.celebration.cancel();
+    this.listeners.abort();
+    this.offLanguage();
+    this.root.innerHTML = '';
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
 }
 
 /**
- * Update score display
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button for the review navigation
  */
-function updateScore() {
-  if (scoreElement) {
-    scoreElement.textContent = `Score: ${score} / ${QUESTIONS.length}`;
-    scoreElement.setAttribute('aria-live', 'polite');
-  }
+function createReviewButton(onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'review-nav-btn';
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function getCorrectIndex(question) {
+  if (question.type === 'boolean') return question.answer ? 0 : 1;
+  return question.correct;
 }
 
 /**
- * Update progress indicator
+ * Points for a correct answer
+ * @param {number} timeTaken - Milliseconds taken to answer
+ * @param {number} duration - Milliseconds allowed for the question
+ * @param {number} currentStreak - Consecutive correct answers, including this one
+ * @returns {number} Points earned
  */
-function updateProgress() {
-  const progressElement = document.getElementById('game-progress');
-  if (progressElement) {
-    progressElement.textContent = `Question ${currentQuestion + 1} of ${QUESTIONS.length}`;
-  }
+export function calculatePoints(timeTaken, duration, currentStreak) {
+  const speed = duration > 0 ? Math.max(0, 1 - timeTaken / duration) : 0;
+  return Math.round((BASE_POINTS + TIME_BONUS * speed) * getStreakMultiplier(currentStreak));
 }
 
 /**
- * End game and show results
+ * @param {number} currentStreak - Consecutive correct answers
+ * @returns {number} Score multiplier (1 for no streak, capped at MAX_MULTIPLIER)
  */
-function endGame() {
-  const percentage = (score / QUESTIONS.length) * 100;
-  let message = '';
-  
-  if (percentage === 100) {
-    message = "🌟 Perfect score! You know Amanda Kyla so well!";
-    triggerConfetti();
-  } else if (percentage >= 75) {
-    message = "🎊 Great job! You're a true friend!";
-    triggerConfetti({ count: 100 });
-  } else if (percentage >= 50) {
-    message = "👍 Good effort! You know Amanda Kyla pretty well!";
-  } else {
-    message = "😊 Thanks for playing! Get to know Amanda Kyla better!";
-  }
-  
-  // Show results
-  if (questionElement) {
-    questionElement.textContent = "Game Complete!";
-  }
-  
-  if (optionsContainer) {
-    optionsContainer.innerHTML = `
-      <div class="game-results">
-        <h3>Your Score: ${score} / ${QUESTIONS.length}</h3>
-        <p class="result-message">${message}</p>
-        <button id="restart-game-final" class="cta-btn">Play Again</button>
-      </div>
-    `;
-    
-    // Setup restart button
-    const finalRestartBtn = document.getElementById('restart-game-final');
-    if (finalRestartBtn) {
-      finalRestartBtn.addEventListener('click', restartGame);
+export function getStreakMultiplier(currentStreak) {
+  return Math.min(1 + Math.max(0, currentStreak - 1) * STREAK_STEP, MAX_MULTIPLIER);
+}
+
+/**
+ * Compare a typed answer with an accepted one, forgiving case, accents,
+ * punctuation and small typos (about one edit per five characters)
+ * @param {string} input - What the player typed
+ * @param {string} expected - An accepted answer
+ * @returns {boolean} True when close enough
+ */
+export function isFuzzyMatch(input, expected) {
+  const a = normalizeAnswer(input);
+  const b = normalizeAnswer(expected);
+  if (!a || !b) return false;
+  if (a === b) return true;
+
+  const tolerance = Math.max(1, Math.floor(b.length / 5));
+  return levenshtein(a, b) <= tolerance;
+}
+
+function normalizeAnswer(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
     }
+    previous = row;
   }
-  
-  if (feedbackElement) {
-    feedbackElement.textContent = '';
-  }
+  return previous[b.length];
 }
 
 /**
- * Restart the game
+ * Fill the high-score list
+ * @param {HTMLElement} table - <ol> to fill
+ * @param {Object[]} entries - Leaderboard entries, best first
+ * @param {Object|null} highlight - Entry just saved by this player
  */
-function restartGame() {
-  currentQuestion = 0;
-  score = 0;
-  updateScore();
-  loadQuestion(currentQuestion);
+function renderLeaderboardEntries(table, entries, highlight) {
+  table.innerHTML = '';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'leaderboard-empty';
+    empty.textContent = t('game.noScores');
+    table.appendChild(empty);
+    return;
+  }
+
+  entries.forEach(entry => {
+    const row = document.createElement('li');
+    row.className = 'leaderboard-entry';
+    if (entry === highlight) row.classList.add('is-current');
+
+    const name = document.createElement('span');
+    name.className = 'leaderboard-name';
+    name.textContent = entry.name || t('game.anonymous');
+
+    const points = document.createElement('span');
+    points.className = 'leaderboard-score';
+    points.textContent = t('game.entry', { count: entry.score, correct: entry.correct, total: entry.total });
+
+    row.appendChild(name);
+    row.appendChild(points);
+    table.appendChild(row);
+  });
 }
 
+// Page game managed by initGame()
+let instance = null;
+
 /**
- * Get current game state (for testing/debugging)
- * @returns {Object} Current game state
+ * Initialize the page trivia game
+ * Safe to call again on route changes; the previous game is destroyed.
+ * @param {Object|undefined} trivia - Trivia section of the celebration config ({ heading, timeLimit, packs })
+ * @param {Object} options - Game options
+ * @param {string} options.recipientName - Name used in the end-of-game messages
+ * @param {Object[]} options.slides - Slideshow entries, used by "photo" questions
+ * @param {string} options.leaderboardKey - localStorage key for the high-score table
+ * @returns {Promise<TriviaGame|null>} Resolves once the packs are loaded and the first question is shown
  */
-export function getGameState() {
-  return {
-    currentQuestion,
-    score,
-    totalQuestions: QUESTIONS.length
-  };
+export async function initGame(trivia, options = {}) {
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  const sectionElement = document.querySelector('.game-section');
+  const gameContainer = document.getElementById('trivia-game');
+
+  if (!gameContainer) {
+    console.warn('Game container not found');
+    return null;
+  }
+
+  // Recipients without trivia simply don't get the section
+  if (sectionElement) sectionElement.classList.toggle('hidden', !trivia);
+  if (!trivia) return null;
+
+  const game = new TriviaGame(gameContainer, {
+    packs: trivia.packs,
+    timeLimit: trivia.timeLimit,
+    recipientName: options.recipientName,
+    slides: options.slides,
+    leaderboardKey: options.leaderboardKey
+  });
+  instance = game;
+
+  await game.start();
+  return game;
 }
 
 /**
- * HTML Structure for Game (add to index.html):
- * 
- * <section class="game-section" role="region" aria-labelledby="game-heading">
- *   <h2 id="game-heading">Birthday Trivia Challenge</h2>
- *   <div id="trivia-game" class="trivia-game">
- *     <div class="game-header">
- *       <div id="score-display" class="score-display">Score: 0 / 4</div>
- *       <div id="game-progress" class="game-progress">Question 1 of 4</div>
- *     </div>
- *     
- *     <div class="game-content">
- *       <h3 id="question-text" class="question-text"></h3>
- *       <div id="options-container" class="options-container"></div>
- *       <div id="feedback" class="feedback"></div>
- *     </div>
- *   </div>
- * </section>
- * 
- * 
- * CSS Styles for Game (add to main.css):
- * 
- * .game-section {
- *   padding: var(--space-3xl) var(--space-lg);
- *   max-width: 800px;
- *   margin: 0 auto;
- * }
- * 
- * .trivia-game {
- *   background: var(--surface);
- *   padding: var(--space-2xl);
- *   border-radius: var(--radius-lg);
- *   box-shadow: var(--shadow-xl);
- * }
- * 
- * .game-header {
- *   display: flex;
- *   justify-content: space-between;
- *   margin-bottom: var(--space-xl);
- *   padding-bottom: var(--space-md);
- *   border-bottom: 2px solid var(--accent-light);
- * }
- * 
- * .score-display, .game-progress {
- *   font-weight: 600;
- *   color: var(--primary-color);
- * }
- * 
- * .question-text {
- *   font-size: var(--text-2xl);
- *   color: var(--primary-color);
- *   margin-bottom: var(--space-xl);
- *   text-align: center;
- * }
- * 
- * .options-container {
- *   display: grid;
- *   gap: var(--space-md);
- *   margin-bottom: var(--space-lg);
- * }
- * 
- * .option-btn {
- *   padding: var(--space-md) var(--space-lg);
- *   font-size: var(--text-lg);
- *   background: var(--background);
- *   border: 2px solid var(--accent-light);
- *   border-radius: var(--radius-md);
- *   cursor: pointer;
- *   transition: all var(--transition-base);
- *   text-align: left;
- * }
- * 
- * .option-btn:hover:not(:disabled) {
- *   background: var(--accent-light);
- *   transform: translateY(-2px);
- *   box-shadow: var(--shadow-md);
- * }
- * 
- * .option-btn:disabled {
- *   cursor: not-allowed;
- * }
- * 
- * .option-btn.correct {
- *   background: var(--success-color);
- *   color: white;
- *   border-color: var(--success-color);
- * }
- * 
- * .option-btn.incorrect {
- *   background: #f44336;
- *   color: white;
- *   border-color: #f44336;
- * }
- * 
- * .feedback {
- *   text-align: center;
- *   font-size: var(--text-lg);
- *   padding: var(--space-md);
- *   border-radius: var(--radius-md);
- *   min-height: 60px;
- * }
- * 
- * .correct-feedback {
- *   background: #e8f5e9;
- *   color: #2e7d32;
- * }
- * 
- * .incorrect-feedback {
- *   background: #ffebee;
- *   color: #c62828;
- * }
- * 
- * .game-results {
- *   text-align: center;
- *   padding: var(--space-2xl) 0;
- * }
- * 
- * .game-results h3 {
- *   font-size: var(--text-3xl);
- *   color: var(--primary-color);
- *   margin-bottom: var(--space-md);
- * }
- * 
- * .result-message {
- *   font-size: var(--text-xl);
- *   color: var(--text-secondary);
- *   margin-bottom: var(--space-xl);
- * }
- */
\ No newline at end of file
+ * Get the page game's state (for testing/debugging)
+ * @returns {Object|null} See TriviaGame#getState, or null when no game is running
+ */
+export function getGameState() {
+  return instance ? instance.getState() : null;
+}
@@ -0,0 +1,540 @@
+/**
+ * Guestbook Module
+ * Renders birthday wishes with moderation, sorting and pagination, and lets
+ * visitors leave their own through a pluggable storage backend
+ * @module guestbook
+ */
+
+import { createStorageAdapter, createRetryQueue, createId, stripLocalFields } from './storage.js';
+import { t, getLanguage, onLanguageChange } from './i18n.js';
+
+const PAGE_SIZE = 20;
+
+// Submission limits (characters, after trimming)
+export const NAME_LIMIT = 40;
+export const MESSAGE_LIMIT = 280;
+
+// Deliberately small list; this is a birthday card, not a moderation service
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'bitch', 'asshole', 'bastard', 'dick', 'cunt',
+  'anjing', 'bangsat', 'babi', 'kontol', 'memek', 'goblok', 'tolol', 'bajingan'
+];
+const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+// Notice shown under a wish that isn't saved yet, by its local status
+const STATUS_KEYS = {
+  sending: 'guestbook.sending',
+  queued: 'guestbook.queued',
+  failed: 'guestbook.failed'
+};
+
+const DATE_FORMAT = {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+};
+
+let messages = [];
+let loadFailed = false;
+let sourceUrl;
+let sortOrder = 'newest';
+let visibleCount = PAGE_SIZE;
+let pageSize = PAGE_SIZE;
+let sectionEl, containerEl, sortEl, moreBtn;
+let formEl, nameInput, textInput, countEl, errorEl;
+let listeners, adapter, queue;
+
+/**
+ * Initialize the guestbook for the current recipient
+ * Safe to call again on route changes; the previous listeners are dropped.
+ * @param {Object|undefined} guestbook - Guestbook section of the celebration config
+ * @param {string} slug - Current recipient, used to namespace local storage
+ * @returns {Promise<boolean>} True when messages were loaded
+ */
+export async function initGuestbook(guestbook, slug) {
+  teardown();
+
+  sectionEl = document.querySelector('.messages-section');
+  containerEl = document.getElementById('messages-container');
+  sortEl = document.getElementById('messages-sort');
+  moreBtn = document.getElementById('messages-more');
+  formEl = document.getElementById('wish-form');
+
+  if (!sectionEl || !containerEl) {
+    console.warn('Guestbook elements not found');
+    return false;
+  }
+
+  // Recipients without a guestbook simply don't get the section
+  sectionEl.classList.toggle('hidden', !guestbook);
+  if (!guestbook) return false;
+
+  pageSize = guestbook.pageSize || PAGE_SIZE;
+  visibleCount = pageSize;
+  sortOrder = sortEl ? sortEl.value : 'newest';
+
+  listeners = new AbortController();
+  const { signal } = listeners;
+
+  if (sortEl) {
+    sortEl.addEventListener('change', () => {
+      sortOrder = sortEl.value;
+      visibleCount = pageSize;
+      render();
+    }, { signal });
+  }
+
+  if (moreBtn) {
+    moreBtn.addEventListener('click', () => {
+      visibleCount += pageSize;
+      render();
+    }, { signal });
+  }
+
+  adapter = createStorageAdapter(guestbook.storage, slug);
+  if (adapter) {
+    const retryQueue = createRetryQueue(adapter, {
+      key: `guestbook-queue:${slug}`,
+      onSent: (pending, saved) => {
+        // Ignore retries that land after the visitor switched recipients
+        if (queue === retryQueue) replaceMessage(pending.id, saved);
+      },
+      onRejected: (pending) => {
+        if (queue === retryQueue) replaceMessage(pending.id, { ...pending, status: 'failed' });
+      }
+    });
+    queue = retryQueue;
+  }
+  setupForm(signal);
+
+  // Re-render dates, counts and notices in the new language
+  const offLanguage = onLanguageChange(() => {
+    if (loadFailed) {
+      renderLoadError(sourceUrl);
+    } else {
+      render();
+    }
+    if (errorEl && !errorEl.hidden) {
+      showFormError(validateSubmission({ author: nameInput.value, text: textInput.value })[0] || '');
+    }
+  });
+  signal.addEventListener('abort', offLanguage);
+
+  sourceUrl = guestbook.source;
+  return loadMessages(guestbook.source, signal);
+}
+
+/**
+ * Load birthday messages from the static JSON file and the storage backend
+ * @param {string|undefined} url - Location of the static messages JSON
+ * @param {AbortSignal} signal - Aborted when the guestbook is torn down
+ * @returns {Promise<boolean>} True when at least one source loaded
+ */
+async function loadMessages(url, signal) {
+  containerEl.setAttribute('aria-busy', 'true');
+
+  const sources = [];
+  if (url) sources.push(fetchStaticMessages(url, signal));
+  if (adapter) sources.push(adapter.list({ signal }));
+
+  const results = await Promise.allSettled(sources);
+  // The visitor switched recipients; these wishes belong to the old page
+  if (signal.aborted) return false;
+
+  const loaded = results.filter(result => result.status === 'fulfilled');
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error loading messages:', result.reason));
+
+  containerEl.removeAttribute('aria-busy');
+
+  loadFailed = loaded.length === 0;
+  if (loadFailed) {
+    messages = [];
+    renderLoadError(url);
+    return false;
+  }
+
+  // Submissions still waiting in the retry queue stay visible
+  const queued = queue ? queue.pending().map(message => ({ ...message, status: 'queued' })) : [];
+  messages = dedupe([...loaded.flatMap(result => result.value), ...queued]);
+
+  render();
+  return true;
+}
+
+async function fetchStaticMessages(url, signal) {
+  const response = await fetch(url, { signal });
+
+  if (!response.ok) {
+    throw new Error('Failed to load messages');
+  }
+
+  const data = await response.json();
+  return Array.isArray(data.messages) ? data.messages : [];
+}
+
+function dedupe(list) {
+  const seen = new Set();
+  return list.filter(message => {
+    if (!message || !message.id) return true;
+    if (seen.has(message.id)) return false;
+    seen.add(message.id);
+    return true;
+  });
+}
+
+/**
+ * Wire up the "leave a wish" form, or hide it when there is nowhere to store wishes
+ * @param {AbortSignal} signal - Aborted on teardown
+ */
+function setupForm(signal) {
+  if (!formEl) return;
+
+  formEl.hidden = !adapter;
+  if (!adapter) return;
+
+  nameInput = formEl.querySelector('#wish-name');
+  textInput = formEl.querySelector('#wish-text');
+  countEl = formEl.querySelector('#wish-count');
+  errorEl = formEl.querySelector('#wish-error');
+
+  nameInput.maxLength = NAME_LIMIT;
+  textInput.maxLength = MESSAGE_LIMIT;
+  updateCount();
+  showFormError('');
+
+  textInput.addEventListener('input', updateCount, { signal });
+  formEl.addEventListener('submit', handleSubmit, { signal });
+}
+
+function updateCount() {
+  if (countEl) countEl.textContent = `${textInput.value.length} / ${MESSAGE_LIMIT}`;
+}
+
+function showFormError(message) {
+  if (!errorEl) return;
+  errorEl.textContent = message;
+  errorEl.hidden = !message;
+}
+
+/**
+ * Validate a submission from the form
+ * @param {Object} submission - { author, text } as typed
+ * @returns {string[]} Problems (empty when the wish can be sent)
+ */
+export function validateSubmission({ author = '', text = '' }) {
+  const errors = [];
+  if (author.trim() === '') errors.push(t('guestbook.nameMissing'));
+  if (author.trim().length > NAME_LIMIT) errors.push(t('guestbook.nameTooLong', { count: NAME_LIMIT }));
+  if (text.trim() === '') errors.push(t('guestbook.wishMissing'));
+  if (text.trim().length > MESSAGE_LIMIT) errors.push(t('guestbook.wishTooLong', { count: MESSAGE_LIMIT }));
+  return errors;
+}
+
+/**
+ * Mask blocked words, keeping the first letter so the sentence still reads
+ * @param {string} text - Raw text
+ * @returns {string} Text with blocked words replaced by asterisks
+ */
+export function filterProfanity(text) {
+  return text.replace(BLOCKED_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+/**
+ * Insert the wish immediately, then confirm or queue it once the backend answers
+ * @param {SubmitEvent} event - Form submit event
+ */
+async function handleSubmit(event) {
+  event.preventDefault();
+
+  const submission = { author: nameInput.value, text: textInput.value };
+  const errors = validateSubmission(submission);
+  if (errors.length > 0) {
+    showFormError(errors[0]);
+    return;
+  }
+  showFormError('');
+
+  const message = {
+    id: createId(),
+    author: filterProfanity(submission.author.trim()),
+    text: filterProfanity(submission.text.trim()),
+    timestamp: new Date().toISOString(),
+    status: 'sending'
+  };
+
+  // Optimistic insert at the top of the newest-first view
+  messages.push(message);
+  if (sortEl && sortEl.value !== 'newest') {
+    sortEl.value = 'newest';
+    sortOrder = 'newest';
+  }
+  render();
+  formEl.reset();
+  updateCount();
+
+  const target = adapter;
+  const retryQueue = queue;
+  try {
+    const saved = await target.add(stripLocalFields(message));
+    if (adapter === target) replaceMessage(message.id, saved);
+  } catch (error) {
+    // Refused by the backend, or nowhere to keep it for a retry: say it wasn't sent
+    const queued = !(error && error.permanent) && Boolean(retryQueue) && retryQueue.enqueue(message);
+    if (queued) {
+      console.warn('Posting wish failed, queued for retry:', error);
+    } else {
+      console.warn('Posting wish failed:', error);
+    }
+    if (adapter === target) replaceMessage(message.id, { ...message, status: queued ? 'queued' : 'failed' });
+  }
+}
+
+/**
+ * Swap a locally inserted message for its updated or saved copy
+ * @param {string} id - Local id of the message
+ * @param {Object} next - Replacement message
+ */
+function replaceMessage(id, next) {
+  const index = messages.findIndex(message => message && message.id === id);
+  if (index === -1) {
+    messages.push(next);
+  } else {
+    messages[index] = next;
+  }
+  render();
+}
+
+/**
+ * Render the visible page of messages in the current sort order
+ */
+function render() {
+  // Clear existing content (including noscript fallback)
+  containerEl.innerHTML = '';
+
+  const visible = sortMessages(messages.filter(message => !message || !message.hidden), sortOrder);
+
+  if (visible.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'messages-empty';
+    empty.textContent = t('guestbook.empty');
+    containerEl.appendChild(empty);
+  }
+
+  visible.slice(0, visibleCount).forEach((message, index) => {
+    containerEl.appendChild(createMessageCard(message, index % pageSize));
+  });
+
+  if (moreBtn) {
+    const remaining = visible.length - visibleCount;
+    moreBtn.hidden = remaining <= 0;
+    moreBtn.textContent = t('guestbook.more', { count: Math.max(remaining, 0) });
+  }
+}
+
+/**
+ * Show an error state with a retry button when the file can't be fetched
+ * @param {string} url - Location of the messages JSON
+ */
+function renderLoadError(url) {
+  containerEl.innerHTML = '';
+  if (moreBtn) moreBtn.hidden = true;
+
+  const card = document.createElement('div');
+  card.className = 'message-card message-card--error';
+  card.setAttribute('role', 'alert');
+
+  const text = document.createElement('p');
+  text.className = 'message-text';
+  text.textContent = t('guestbook.loadError');
+
+  const retry = document.createElement('button');
+  retry.type = 'button';
+  retry.className = 'message-retry';
+  retry.textContent = t('common.retry');
+  const { signal } = listeners;
+  retry.addEventListener('click', () => loadMessages(url, signal), { signal });
+
+  card.appendChild(text);
+  card.appendChild(retry);
+  containerEl.appendChild(card);
+}
+
+/**
+ * Sort messages by timestamp; undated messages always come last
+ * @param {Object[]} list - Messages to sort
+ * @param {string} order - "newest" or "oldest"
+ * @returns {Object[]} A new, sorted array
+ */
+export function sortMessages(list, order = 'newest') {
+  const direction = order === 'oldest' ? 1 : -1;
+  return list
+    .map((message, index) => ({ message, index, time: getTime(message) }))
+    .sort((a, b) => {
+      if (a.time === null && b.time === null) return a.index - b.index;
+      if (a.time === null) return 1;
+      if (b.time === null) return -1;
+      return (a.time - b.time) * direction || a.index - b.index;
+    })
+    .map(entry => entry.message);
+}
+
+function getTime(message) {
+  if (!message || !message.timestamp) return null;
+  const time = Date.parse(message.timestamp);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * List what is wrong with a message entry
+ * @param {Object} message - Raw message from the JSON file
+ * @returns {string[]} Problems (empty when the message can be rendered)
+ */
+export function validateMessage(message) {
+  if (message === null || typeof message !== 'object') {
+    return ['message must be an object'];
+  }
+
+  const errors = [];
+  if (typeof message.text !== 'string' || message.text.trim() === '') {
+    errors.push('text is required');
+  }
+  if (typeof message.author !== 'string' || message.author.trim() === '') {
+    errors.push('author is required');
+  }
+  if (message.timestamp !== undefined && getTime(message) === null) {
+    errors.push('timestamp is not a valid date');
+  }
+  ['avatar', 'photo'].forEach(field => {
+    if (message[field] !== undefined && typeof message[field] !== 'string') {
+      errors.push(`${field} must be a URL string`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Create a message card element
+ * @param {Object} message - Message object with text, author and optional metadata
+ * @param {number} index - Index for staggered animation
+ * @returns {HTMLElement} Message card element
+ */
+export function createMessageCard(message, index) {
+  const card = document.createElement('article');
+  card.className = 'message-card';
+  card.style.animationDelay = `${index * 0.1}s`;
+
+  const errors = validateMessage(message);
+  if (errors.length > 0) {
+    console.warn('Skipping malformed message:', errors, message);
+    return createErrorCard(card);
+  }
+
+  const header = document.createElement('header');
+  header.className = 'message-meta';
+  header.appendChild(createAvatar(message));
+
+  const author = document.createElement('p');
+  author.className = 'message-author';
+  author.textContent = `— ${message.author}`;
+  header.appendChild(author);
+
+  const time = getTime(message);
+  if (time !== null) {
+    const stamp = document.createElement('time');
+    stamp.className = 'message-time';
+    stamp.dateTime = new Date(time).toISOString();
+    stamp.textContent = new Intl.DateTimeFormat(getLanguage(), DATE_FORMAT).format(time);
+    header.appendChild(stamp);
+  }
+
+  const text = document.createElement('p');
+  text.className = 'message-text';
+  text.textContent = message.text;
+
+  card.appendChild(text);
+
+  if (message.status) {
+    card.classList.add('message-card--pending');
+    const status = document.createElement('p');
+    status.className = 'message-status';
+    status.textContent = t(STATUS_KEYS[message.status] || 'guestbook.sending');
+    card.appendChild(status);
+  }
+
+  if (message.photo) {
+    const photo = document.createElement('img');
+    photo.className = 'message-photo';
+    photo.src = message.photo;
+    photo.alt = t('guestbook.photoAlt', { author: message.author });
+    photo.loading = 'lazy';
+    photo.addEventListener('error', () => photo.remove(), { once: true });
+    card.appendChild(photo);
+  }
+
+  card.appendChild(header);
+
+  return card;
+}
+
+/**
+ * Per-message error state so one bad entry doesn't hide the others
+ * @param {HTMLElement} card - Card element to fill
+ * @returns {HTMLElement} The card
+ */
+function createErrorCard(card) {
+  card.classList.add('message-card--error');
+
+  const text = document.createElement('p');
+  text.className = 'message-text';
+  text.textContent = t('guestbook.invalid');
+
+  card.appendChild(text);
+  return card;
+}
+
+/**
+ * Avatar image, falling back to the author's initials
+ * @param {Object} message - Message with author and optional avatar URL
+ * @returns {HTMLElement} Avatar element
+ */
+function createAvatar(message) {
+  const initials = message.author
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(word => word[0].toUpperCase())
+    .join('');
+
+  const fallback = document.createElement('span');
+  fallback.className = 'message-avatar message-avatar--initials';
+  fallback.setAttribute('aria-hidden', 'true');
+  fallback.textContent = initials;
+
+  if (!message.avatar) return fallback;
+
+  const img = document.createElement('img');
+  img.className = 'message-avatar';
+  img.src = message.avatar;
+  img.alt = '';
+  img.loading = 'lazy';
+  img.addEventListener('error', () => img.replaceWith(fallback), { once: true });
+  return img;
+}
+
+/**
+ * Remove listeners from a previous initGuestbook() call
+ */
+function teardown() {
+  if (listeners) {
+    listeners.abort();
+    listeners = null;
+  }
+  if (queue) {
+    queue.destroy();
+    queue = null;
+  }
+  adapter = null;
+}
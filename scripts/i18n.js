@@ -0,0 +1,178 @@
+/**
+ * Internationalisation Module
+ * Message catalogs, interpolation, plurals and the header language switcher
+ * @module i18n
+ *
+ * Usage:
+ *   t('game.progress', { n: 2, total: 10 })   // "Question 2 of 10"
+ *   t('guestbook.more', { count: 3 })          // "Show 3 more wishes"
+ *   const off = onLanguageChange(() => relabel());
+ *
+ * Catalogs live in scripts/locales/<code>.js. A message is either a string
+ * with {placeholders}, or an object of plural forms ("zero", "one", "other", …)
+ * picked with Intl.PluralRules from the `count` parameter. Keys missing from
+ * a catalog fall back to English.
+ *
+ * Static markup is translated through data attributes (see translatePage):
+ * data-i18n (text), data-i18n-label (aria-label), data-i18n-placeholder.
+ */
+
+import { Emitter } from './emitter.js';
+import en from './locales/en.js';
+import id from './locales/id.js';
+
+export const LANGUAGES = [
+  { code: 'en', label: 'English', messages: en },
+  { code: 'id', label: 'Bahasa Indonesia', messages: id }
+];
+
+const DEFAULT_LANGUAGE = 'en';
+const STORAGE_KEY = 'language';
+
+const events = new Emitter();
+let language = DEFAULT_LANGUAGE;
+
+/**
+ * Pick the saved or browser language, fill the header switcher and translate the page
+ */
+export function initI18n() {
+  language = detectLanguage();
+
+  const select = document.getElementById('language-select');
+  if (select) {
+    select.innerHTML = '';
+    LANGUAGES.forEach(({ code, label }) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = language;
+    select.addEventListener('change', () => setLanguage(select.value));
+  } else {
+    console.warn('Language switcher not found');
+  }
+
+  applyLanguage();
+}
+
+/**
+ * Translate a message
+ * @param {string} key - Catalog key such as "slideshow.next"
+ * @param {Object} params - Values for {placeholders}; `count` also picks the plural form
+ * @returns {string} The translated text, or the key when no catalog has it
+ */
+export function t(key, params = {}) {
+  const message = lookup(key, language) ?? lookup(key, DEFAULT_LANGUAGE);
+  if (message === undefined) {
+    console.warn(`Missing translation for "${key}"`);
+    return key;
+  }
+
+  let text = message;
+  if (typeof message === 'object') {
+    const count = Number(params.count) || 0;
+    // An explicit "zero" form reads better than the language's plural rule for 0
+    const form = count === 0 && message.zero !== undefined ? 'zero' : new Intl.PluralRules(language).select(count);
+    text = message[form] ?? message.other;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] !== undefined ? String(params[name]) : placeholder
+  ));
+}
+
+/**
+ * @returns {string} Active language code
+ */
+export function getLanguage() {
+  return language;
+}
+
+/**
+ * Switch language, remember the choice and relabel everything listening
+ * @param {string} code - Language code from LANGUAGES
+ */
+export function setLanguage(code) {
+  if (!LANGUAGES.some(entry => entry.code === code)) {
+    console.warn(`Unknown language "${code}"`);
+    return;
+  }
+  if (code === language) return;
+
+  language = code;
+  try {
+    localStorage.setItem(STORAGE_KEY, code);
+  } catch (error) {
+    console.warn('Could not save the language choice:', error);
+  }
+
+  const select = document.getElementById('language-select');
+  if (select) select.value = code;
+  applyLanguage();
+  events.emit('change', { language: code });
+}
+
+/**
+ * Call back after every language switch
+ * @param {Function} callback - Invoked with { language }
+ * @returns {Function} Unsubscribe function
+ */
+export function onLanguageChange(callback) {
+  return events.on('change', callback);
+}
+
+/**
+ * Translate elements marked with data-i18n, data-i18n-label and data-i18n-placeholder
+ * @param {ParentNode} root - Subtree to translate (default: the whole document)
+ */
+export function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-label]').forEach(el => {
+    el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+  });
+}
+
+function applyLanguage() {
+  document.documentElement.lang = language;
+  translatePage();
+}
+
+/**
+ * @param {string} key - Catalog key
+ * @param {string} code - Language code
+ * @returns {string|Object|undefined} The catalog entry
+ */
+function lookup(key, code) {
+  const entry = LANGUAGES.find(candidate => candidate.code === code);
+  return entry ? entry.messages[key] : undefined;
+}
+
+/**
+ * @returns {string} Saved language, else the first supported browser language, else English
+ */
+function detectLanguage() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES.some(entry => entry.code === saved)) return saved;
+  } catch (error) {
+    // Storage can be blocked; fall back to the browser languages
+  }
+
+  const preferred = navigator.languages && navigator.languages.length > 0
+    ? navigator.languages
+    : [navigator.language];
+  for (const tag of preferred) {
+    const code = String(tag || '').toLowerCase().split('-')[0];
+    // "in" is the legacy code for Indonesian
+    const normalised = code === 'in' ? 'id' : code;
+    if (LANGUAGES.some(entry => entry.code === normalised)) return normalised;
+  }
+  return DEFAULT_LANGUAGE;
+}
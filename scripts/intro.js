@@ -0,0 +1,298 @@
+/**
+ * Intro Module
+ * A sealed envelope (or gift box) the visitor taps to open the page
+ * @module intro
+ *
+ * Browsers block music that starts on its own, but allow it inside a user
+ * gesture, so the tap that opens the envelope is what starts
+ * #background-music. The opening itself is a CSS animation (see .intro in
+ * main.css); once it has played, confetti bursts from the envelope, the
+ * overlay fades and the hero slides in.
+ *
+ * The intro can be skipped (skip button or Escape) and is shown once per
+ * recipient: opening or skipping it is remembered in localStorage.
+ *
+ * Usage:
+ *   const intro = initIntro(config.intro, { recipientName: 'Kyla', storageKey: 'intro-seen:kyla' });
+ *   if (intro) intro.on('close', ({ skipped }) => ...);
+ */
+
+import { Emitter } from './emitter.js';
+import { triggerConfetti } from './confetti.js';
+import { getMusicPlayer } from './music.js';
+import { t, onLanguageChange } from './i18n.js';
+
+const OPEN_DURATION = 1400;    // ms, matches the .intro.is-opening animations in main.css
+const LEAVE_DURATION = 500;    // ms, matches .intro.is-leaving
+const ENTER_DURATION = 900;    // ms, matches .hero.is-entering
+
+const ARTWORK = {
+  envelope: `
+    <span class="envelope" aria-hidden="true">
+      <span class="envelope-back"></span>
+      <span class="envelope-letter"></span>
+      <span class="envelope-front"></span>
+      <span class="envelope-flap"></span>
+      <span class="envelope-seal">♥</span>
+    </span>`,
+  gift: `
+    <span class="gift" aria-hidden="true">
+      <span class="gift-box"></span>
+      <span class="gift-lid"><span class="gift-bow"></span></span>
+    </span>`
+};
+
+/**
+ * Full-page overlay shown before the celebration
+ * Events: "open" (the visitor tapped), "close" ({ skipped }), "destroy"
+ */
+export class Intro extends Emitter {
+  /**
+   * @param {Object} options - Intro options
+   * @param {string} options.style - "envelope" or "gift" (default: "envelope")
+   * @param {string} options.title - Heading above the artwork (default: "A surprise for {name}")
+   * @param {string} options.recipientName - Name used in the default heading
+   * @param {string} options.storageKey - localStorage key remembering the intro was seen
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      style: 'envelope',
+      title: null,
+      recipientName: '',
+      storageKey: null,
+      ...options
+    };
+    this.state = 'closed';
+    this.timer = null;
+    this.enterTimer = null;
+    this.overlay = null;
+    this.leaving = null;
+    this.heading = null;
+    this.hint = null;
+    this.openButton = null;
+    this.skipButton = null;
+    this.hero = document.querySelector('.hero');
+    this.listeners = new AbortController();
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    const off = onLanguageChange(() => this.applyLanguage());
+    this.listeners.signal.addEventListener('abort', off);
+  }
+
+  /**
+   * @returns {boolean} True while the overlay covers the page
+   */
+  get isOpen() {
+    return this.state !== 'closed';
+  }
+
+  /**
+   * Cover the page with the sealed envelope
+   */
+  show() {
+    if (this.isOpen) return;
+
+    const { signal } = this.listeners;
+    const overlay = document.createElement('div');
+    overlay.className = `intro intro-${this.options.style}`;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'intro-title');
+    overlay.innerHTML = `
+      <div class="intro-stage">
+        <h2 class="intro-title" id="intro-title"></h2>
+        <button type="button" class="intro-open">${ARTWORK[this.options.style] || ARTWORK.envelope}</button>
+        <p class="intro-hint" aria-hidden="true"></p>
+        <button type="button" class="intro-skip"></button>
+      </div>
+    `;
+
+    this.overlay = overlay;
+    this.heading = overlay.querySelector('.intro-title');
+    this.hint = overlay.querySelector('.intro-hint');
+    this.openButton = overlay.querySelector('.intro-open');
+    this.skipButton = overlay.querySelector('.intro-skip');
+    this.applyLanguage();
+
+    this.openButton.addEventListener('click', () => this.open(), { signal });
+    this.skipButton.addEventListener('click', () => this.skip(), { signal });
+    overlay.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+    if (this.hero) {
+      this.hero.classList.remove('is-entering');
+      this.hero.classList.add('is-waiting');
+    }
+    document.body.classList.add('intro-active');
+    document.body.appendChild(overlay);
+    this.state = 'shown';
+    this.openButton.focus();
+  }
+
+  /**
+   * Open the envelope; must run inside the visitor's tap for the music to start
+   */
+  open() {
+    if (this.state !== 'shown') return;
+    this.state = 'opening';
+
+    // Still inside the gesture, so the browser lets playback start
+    const player = getMusicPlayer();
+    if (player) player.play();
+
+    this.overlay.classList.add('is-opening');
+    this.emit('open');
+
+    this.timer = setTimeout(() => {
+      triggerConfetti({ origin: this.openButton, count: 160, shapes: ['heart', 'star', 'circle'] });
+      this.close(false);
+    }, this.reducedMotion ? 0 : OPEN_DURATION);
+  }
+
+  /**
+   * Go straight to the page, without confetti or music
+   */
+  skip() {
+    if (!this.isOpen) return;
+    this.close(true);
+  }
+
+  /**
+   * Replace the heading, e.g. with the config title in another language
+   * @param {string|null} title - New heading, or null for the default
+   */
+  setTitle(title) {
+    this.options.title = title || null;
+    this.applyLanguage();
+  }
+
+  applyLanguage() {
+    if (!this.overlay) return;
+    const gift = this.options.style === 'gift';
+    this.heading.textContent = this.options.title || t('intro.title', { name: this.options.recipientName });
+    this.hint.textContent = t('intro.hint');
+    this.openButton.setAttribute('aria-label', t(gift ? 'intro.openGift' : 'intro.openEnvelope'));
+    this.skipButton.textContent = t('intro.skip');
+  }
+
+  /**
+   * Escape skips; Tab stays between the two buttons while the dialog is up
+   * @param {KeyboardEvent} e - Keydown event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.skip();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      const next = document.activeElement === this.openButton ? this.skipButton : this.openButton;
+      next.focus();
+    }
+  }
+
+  /**
+   * @param {boolean} skipped - The visitor skipped instead of opening
+   */
+  close(skipped) {
+    clearTimeout(this.timer);
+    this.state = 'closed';
+    this.markSeen();
+    this.revealHero();
+    document.body.classList.remove('intro-active');
+
+    this.leaving = this.overlay;
+    this.overlay = null;
+    this.leaving.classList.add('is-leaving');
+    this.timer = setTimeout(() => {
+      this.leaving.remove();
+      this.leaving = null;
+    }, this.reducedMotion ? 0 : LEAVE_DURATION);
+
+    this.emit('close', { skipped });
+  }
+
+  revealHero() {
+    if (!this.hero) return;
+    const hero = this.hero;
+    hero.classList.remove('is-waiting');
+    if (this.reducedMotion) return;
+
+    hero.classList.add('is-entering');
+    this.enterTimer = setTimeout(() => hero.classList.remove('is-entering'), ENTER_DURATION);
+  }
+
+  markSeen() {
+    if (!this.options.storageKey) return;
+    try {
+      localStorage.setItem(this.options.storageKey, 'true');
+    } catch (error) {
+      console.warn('Could not remember the intro:', error);
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+    clearTimeout(this.enterTimer);
+    this.listeners.abort();
+    if (this.overlay) this.overlay.remove();
+    if (this.leaving) this.leaving.remove();
+    this.overlay = null;
+    this.leaving = null;
+    this.state = 'closed';
+    if (this.hero) this.hero.classList.remove('is-waiting', 'is-entering');
+    document.body.classList.remove('intro-active');
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @param {string|null} storageKey - localStorage key set once the intro was seen
+ * @returns {boolean} True when this visitor already opened or skipped the intro
+ */
+function hasSeen(storageKey) {
+  if (!storageKey) return false;
+  try {
+    return localStorage.getItem(storageKey) === 'true';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Intro managed by initIntro()
+let instance = null;
+
+/**
+ * Show the intro for the rendered recipient, unless it was already seen
+ * Safe to call again on re-render; the previous intro is removed.
+ * @param {Object|false|undefined} intro - `intro` section of the config ({ style, title }); false turns it off
+ * @param {Object} options - Intro options
+ * @param {string} options.recipientName - Name used in the default heading
+ * @param {string} options.storageKey - localStorage key remembering the intro was seen
+ * @returns {Intro|null} The intro on screen, or null when there is none
+ */
+export function initIntro(intro = {}, options = {}) {
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  if (intro === false || hasSeen(options.storageKey)) return null;
+
+  instance = new Intro({
+    style: intro.style || 'envelope',
+    title: intro.title || null,
+    recipientName: options.recipientName || '',
+    storageKey: options.storageKey || null
+  });
+  instance.show();
+  return instance;
+}
+
+/**
+ * @returns {Intro|null} The intro on screen, if any
+ */
+export function getIntro() {
+  return instance && instance.isOpen ? instance : null;
+}
@@ -0,0 +1,152 @@
+/**
+ * Leaderboard Module
+ * Persistent high-score table for the trivia game, with JSON export/import
+ * @module leaderboard
+ */
+
+// Entries kept per table
+export const MAX_ENTRIES = 10;
+
+const NAME_LIMIT = 24;
+
+/**
+ * Error thrown when an import can't be used
+ * `key` is the message's i18n key, translated where the error is shown.
+ */
+export class LeaderboardError extends Error {
+  /**
+   * @param {string} key - i18n key of the message shown to the player
+   * @param {string} message - English description for logs
+   */
+  constructor(key, message) {
+    super(message);
+    this.name = 'LeaderboardError';
+    this.key = key;
+  }
+}
+
+/**
+ * Read a leaderboard from localStorage
+ * @param {string} key - localStorage key of the table
+ * @returns {Object[]} Entries sorted best first
+ */
+export function loadLeaderboard(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? sortEntries(stored.filter(isValidEntry)) : [];
+  } catch (error) {
+    console.warn('Stored leaderboard is unreadable, starting fresh:', error);
+    return [];
+  }
+}
+
+/**
+ * Add a result to a leaderboard, keeping only the best MAX_ENTRIES
+ * @param {string} key - localStorage key of the table
+ * @param {Object} entry - { name, score, correct, total, bestStreak }
+ * @returns {Object[]|null} The updated table, or null when storage refused the write
+ */
+export function saveScore(key, entry) {
+  const saved = {
+    name: cleanName(entry.name),
+    score: Math.round(entry.score),
+    correct: entry.correct,
+    total: entry.total,
+    bestStreak: entry.bestStreak,
+    date: entry.date || new Date().toISOString()
+  };
+
+  const entries = sortEntries([...loadLeaderboard(key), saved]).slice(0, MAX_ENTRIES);
+  return storeEntries(key, entries) ? entries : null;
+}
+
+/**
+ * Serialize a leaderboard for download
+ * @param {string} key - localStorage key of the table
+ * @returns {string} Pretty-printed JSON ({ version, entries })
+ */
+export function exportLeaderboard(key) {
+  return JSON.stringify({ version: 1, entries: loadLeaderboard(key) }, null, 2);
+}
+
+/**
+ * Merge an exported leaderboard into the stored one
+ * Duplicate entries (same name, score and date) are only kept once.
+ * @param {string} key - localStorage key of the table
+ * @param {string} json - Contents of an exported file
+ * @returns {Object[]} The merged table
+ * @throws {LeaderboardError} When the file isn't a leaderboard export, or can't be stored
+ */
+export function importLeaderboard(key, json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new LeaderboardError('game.importInvalidJson', 'That file is not valid JSON.');
+  }
+
+  const incoming = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(incoming)) {
+    throw new LeaderboardError('game.importNoLeaderboard', 'That file does not contain a leaderboard.');
+  }
+
+  const valid = incoming.filter(isValidEntry).map(entry => ({ ...entry, name: cleanName(entry.name) }));
+  if (incoming.length > 0 && valid.length === 0) {
+    throw new LeaderboardError('game.importNoEntries', 'None of the entries in that file could be read.');
+  }
+
+  const seen = new Set();
+  const merged = sortEntries([...loadLeaderboard(key), ...valid]).filter(entry => {
+    const id = `${entry.name}|${entry.score}|${entry.date}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  }).slice(0, MAX_ENTRIES);
+
+  if (!storeEntries(key, merged)) {
+    throw new LeaderboardError('game.saveFailed', 'The leaderboard could not be saved.');
+  }
+  return merged;
+}
+
+/**
+ * Write a table to localStorage
+ * @param {string} key - localStorage key of the table
+ * @param {Object[]} entries - Entries to store
+ * @returns {boolean} False when storage is blocked or full (e.g. Safari private mode)
+ */
+function storeEntries(key, entries) {
+  try {
+    localStorage.setItem(key, JSON.stringify(entries));
+    return true;
+  } catch (error) {
+    console.warn('Could not save the leaderboard:', error);
+    return false;
+  }
+}
+
+/**
+ * @param {Object} entry - Candidate entry
+ * @returns {boolean} True when the entry has the fields the table renders
+ */
+function isValidEntry(entry) {
+  return entry !== null &&
+    typeof entry === 'object' &&
+    typeof entry.name === 'string' &&
+    Number.isFinite(entry.score) &&
+    Number.isInteger(entry.correct) &&
+    Number.isInteger(entry.total) &&
+    typeof entry.date === 'string';
+}
+
+function sortEntries(entries) {
+  return [...entries].sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+}
+
+/**
+ * @param {*} name - Name as typed or imported
+ * @returns {string} Trimmed name; empty for an anonymous player, named when shown
+ */
+function cleanName(name) {
+  return String(name).trim().slice(0, NAME_LIMIT);
+}
@@ -0,0 +1,528 @@
+/**
+ * Letter Reveal Module
+ * Reveals the personal letter when it scrolls into view
+ * @module letter-reveal
+ *
+ * Modes (see LETTER_REVEAL_MODES in config.js):
+ * - "fade": the lines drift up one after another (default)
+ * - "typewriter": the lines are typed out behind a blinking caret, with an
+ *   optional keystroke tick (`sound: true`)
+ * - "lines": each line fades in as it reaches the viewport
+ * With `handwriting: true` the signature name is drawn as a pen stroke once
+ * the rest of the letter is shown.
+ *
+ * Screen readers get the whole letter from the start: animated text is an
+ * aria-hidden copy beside the real text, which stays in a visually hidden
+ * span. Under prefers-reduced-motion the letter is shown at once.
+ *
+ * Usage:
+ *   const reveal = new LetterReveal(card, { mode: 'typewriter', handwriting: true });
+ *   reveal.on('done', () => ...);
+ *   reveal.replay();
+ */
+
+import { Emitter } from './emitter.js';
+import { t, onLanguageChange } from './i18n.js';
+
+const LINE_SELECTOR = '.message-intro, .message-body, .message-signature';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const DEFAULT_SPEED = 40;            // characters per second in typewriter mode
+const LINE_PAUSE = 400;              // ms between typed lines
+const LINE_STAGGER = 180;            // ms between lines fading in
+const LINE_TRANSITION = 600;         // ms, matches the line transition in main.css
+const HANDWRITING_DURATION = 2400;   // ms, matches .signature-svg.is-drawing in main.css
+
+/**
+ * Scroll-triggered reveal of the .personal-message-card
+ * Events: "start", "done", "destroy"
+ */
+export class LetterReveal extends Emitter {
+  /**
+   * @param {HTMLElement} card - The .personal-message-card holding the rendered letter
+   * @param {Object} options - Reveal options
+   * @param {string} options.mode - "fade", "typewriter" or "lines" (default: "fade")
+   * @param {boolean} options.handwriting - Draw the signature name as a pen stroke (default: false)
+   * @param {boolean} options.sound - Tick on every typed character (default: false)
+   * @param {number} options.speed - Typed characters per second (default: 40)
+   * @param {boolean} options.instant - Start finished, e.g. when re-rendering a letter already read
+   */
+  constructor(card, options = {}) {
+    super();
+
+    if (!card) {
+      throw new Error('LetterReveal needs the letter card');
+    }
+
+    this.card = card;
+    this.options = {
+      mode: 'fade',
+      handwriting: false,
+      sound: false,
+      speed: DEFAULT_SPEED,
+      instant: false,
+      ...options
+    };
+    this.lines = Array.from(card.querySelectorAll(LINE_SELECTOR));
+    this.state = 'waiting';
+    this.timers = new Set();
+    this.observer = null;
+    this.nextLineAt = 0;
+    this.revealed = 0;
+    this.typed = [];
+    this.signature = null;
+    this.caret = null;
+    this.audio = null;
+    this.controls = null;
+    this.listeners = new AbortController();
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    card.dataset.reveal = this.options.mode;
+    card.classList.remove('is-visible');
+    this.prepare();
+
+    // Nothing to skip or replay when the letter simply fades in or appears at once
+    const animated = this.options.mode !== 'fade' || this.signature !== null;
+    if (animated && !this.reducedMotion) this.createControls();
+
+    if (this.reducedMotion || this.options.instant) {
+      this.finish();
+    } else {
+      this.observe();
+    }
+
+    const offLanguage = onLanguageChange(() => this.applyLanguage());
+    this.listeners.signal.addEventListener('abort', offLanguage);
+  }
+
+  /**
+   * Whether the reveal has begun (or been skipped)
+   * @returns {boolean} True once the letter has started to show
+   */
+  get started() {
+    return this.state !== 'waiting';
+  }
+
+  /**
+   * Split the letter into an accessible copy and an animated, aria-hidden copy
+   */
+  prepare() {
+    this.lines.forEach((line, index) => {
+      line.style.transitionDelay = this.options.mode === 'fade' ? `${index * LINE_STAGGER}ms` : '';
+    });
+
+    if (this.options.mode === 'typewriter') {
+      this.typed = this.lines.map(line => this.prepareTypedLine(line));
+      this.caret = document.createElement('span');
+      this.caret.className = 'typing-caret';
+    } else if (this.options.handwriting) {
+      const name = this.card.querySelector('.signature-name');
+      if (name) {
+        const label = document.createElement('span');
+        label.className = 'sr-only';
+        label.textContent = name.textContent;
+        this.signature = createSignatureSvg(name.textContent);
+        name.replaceChildren(label, this.signature);
+      }
+    }
+  }
+
+  /**
+   * @param {HTMLElement} line - Letter line
+   * @returns {Object} The line with its text segments ({ element, segments: [{ typed, rest, text }] })
+   */
+  prepareTypedLine(line) {
+    const original = document.createElement('span');
+    original.className = 'sr-only';
+    const copy = document.createElement('span');
+    copy.className = 'typed-copy';
+    copy.setAttribute('aria-hidden', 'true');
+
+    original.append(...line.childNodes);
+    copy.append(...Array.from(original.childNodes, node => node.cloneNode(true)));
+    line.append(original, copy);
+
+    // The signature name is drawn rather than typed
+    const name = copy.querySelector('.signature-name');
+    if (name && this.options.handwriting) {
+      this.signature = createSignatureSvg(name.textContent);
+      name.replaceChildren(this.signature);
+    }
+
+    const segments = [];
+    collectText(copy).forEach(node => {
+      const typed = document.createTextNode('');
+      const rest = document.createElement('span');
+      rest.className = 'untyped';
+      rest.textContent = node.textContent;
+      segments.push({ typed, rest, text: node.textContent });
+      node.replaceWith(typed, rest);
+    });
+
+    return { element: line, segments };
+  }
+
+  /**
+   * Wait for the letter (or, in "lines" mode, each line) to scroll into view
+   */
+  observe() {
+    const perLine = this.options.mode === 'lines';
+    if (!('IntersectionObserver' in window)) {
+      this.start();
+      if (perLine) this.lines.forEach(line => this.queueLine(line));
+      return;
+    }
+
+    this.observer = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        this.observer.unobserve(entry.target);
+        if (perLine) {
+          if (!this.started) this.start();
+          this.queueLine(entry.target);
+        } else {
+          this.start();
+        }
+      });
+    }, perLine
+      // A line shows once its top clears the bottom fifth of the viewport; a
+      // ratio threshold would never fire for a paragraph taller than the screen
+      ? { threshold: 0, rootMargin: '0px 0px -20% 0px' }
+      : { threshold: 0.2, rootMargin: '0px 0px -5% 0px' });
+
+    if (perLine) {
+      this.lines.forEach(line => this.observer.observe(line));
+    } else {
+      this.observer.observe(this.card);
+    }
+  }
+
+  /**
+   * Begin the reveal for the current mode
+   */
+  start() {
+    if (this.state === 'playing') return;
+    this.state = 'playing';
+    this.updateControls();
+    this.emit('start');
+
+    switch (this.options.mode) {
+      case 'typewriter':
+        this.typeLine(0);
+        break;
+      case 'lines':
+        // Lines already in view are queued by the observer
+        break;
+      default:
+        this.card.classList.add('is-visible');
+        this.later(() => this.showSignature(), (this.lines.length - 1) * LINE_STAGGER + LINE_TRANSITION);
+    }
+  }
+
+  /**
+   * Reveal one line in "lines" mode, keeping lines that arrive together apart
+   * @param {HTMLElement} line - Letter line
+   */
+  queueLine(line) {
+    const now = Date.now();
+    const delay = Math.max(0, this.nextLineAt - now);
+    this.nextLineAt = now + delay + LINE_STAGGER;
+
+    this.later(() => {
+      line.classList.add('is-revealed');
+      this.revealed++;
+      if (this.revealed === this.lines.length) {
+        this.later(() => this.showSignature(), LINE_TRANSITION);
+      }
+    }, delay);
+  }
+
+  /**
+   * Type a line character by character, then move on to the next
+   * @param {number} index - Index into the typed lines
+   */
+  typeLine(index) {
+    const line = this.typed[index];
+    if (!line) {
+      this.caret.remove();
+      this.showSignature();
+      return;
+    }
+
+    line.element.classList.add('is-revealed');
+    const segment = line.segments.find(candidate => candidate.rest.textContent !== '');
+    if (!segment) {
+      this.later(() => this.typeLine(index + 1), LINE_PAUSE);
+      return;
+    }
+
+    const [char, ...remaining] = Array.from(segment.rest.textContent);
+    segment.typed.textContent += char;
+    segment.rest.textContent = remaining.join('');
+    segment.typed.after(this.caret);
+    if (this.options.sound && char.trim() !== '') this.tick();
+
+    this.later(() => this.typeLine(index), 1000 / this.options.speed);
+  }
+
+  /**
+   * Draw the signature if there is one, then finish
+   */
+  showSignature() {
+    if (!this.signature) {
+      this.complete();
+      return;
+    }
+
+    fitSignature(this.signature);
+    this.signature.classList.add('is-drawing');
+    this.later(() => this.complete(), HANDWRITING_DURATION);
+  }
+
+  complete() {
+    this.state = 'done';
+    this.updateControls();
+    this.emit('done');
+  }
+
+  /**
+   * Skip to the fully shown letter
+   */
+  finish() {
+    this.clearTimers();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.card.classList.add('is-visible');
+    this.lines.forEach(line => line.classList.add('is-revealed'));
+    this.typed.forEach(({ segments }) => {
+      segments.forEach(segment => {
+        segment.typed.textContent = segment.text;
+        segment.rest.textContent = '';
+      });
+    });
+    if (this.caret) this.caret.remove();
+    if (this.signature) {
+      fitSignature(this.signature);
+      this.signature.classList.remove('is-drawing');
+      this.signature.classList.add('is-drawn');
+    }
+
+    this.complete();
+  }
+
+  /**
+   * Hide the letter again and play the reveal from the top
+   */
+  replay() {
+    this.clearTimers();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.card.classList.remove('is-visible');
+    this.lines.forEach(line => line.classList.remove('is-revealed'));
+    this.typed.forEach(({ segments }) => {
+      segments.forEach(segment => {
+        segment.typed.textContent = '';
+        segment.rest.textContent = segment.text;
+      });
+    });
+    if (this.signature) this.signature.classList.remove('is-drawing', 'is-drawn');
+    this.revealed = 0;
+    this.nextLineAt = 0;
+    this.state = 'waiting';
+
+    // Flush the hidden state so the transitions run again
+    void this.card.offsetWidth;
+
+    if (this.options.mode === 'lines') this.observe();
+    this.start();
+  }
+
+  /**
+   * Play a short keystroke tick through Web Audio
+   */
+  tick() {
+    try {
+      if (!this.audio) this.audio = new AudioContext();
+      // Audio may only start after the visitor has interacted with the page
+      if (this.audio.state === 'suspended') {
+        this.audio.resume().catch(() => {});
+        return;
+      }
+
+      const now = this.audio.currentTime;
+      const oscillator = this.audio.createOscillator();
+      const gain = this.audio.createGain();
+      oscillator.type = 'square';
+      oscillator.frequency.value = 1400 + Math.random() * 400;
+      gain.gain.setValueAtTime(0.03, now);
+      gain.gain.exponentialRampToValueAtTime(0.0001, now + 0.03);
+      oscillator.connect(gain).connect(this.audio.destination);
+      oscillator.start(now);
+      oscillator.stop(now + 0.03);
+    } catch (error) {
+      console.warn('Keystroke sound unavailable:', error);
+      this.options.sound = false;
+    }
+  }
+
+  createControls() {
+    this.controls = document.createElement('div');
+    this.controls.className = 'letter-controls';
+
+    this.skipBtn = document.createElement('button');
+    this.skipBtn.type = 'button';
+    this.skipBtn.className = 'letter-control letter-skip';
+    this.skipBtn.addEventListener('click', () => this.finish());
+
+    this.replayBtn = document.createElement('button');
+    this.replayBtn.type = 'button';
+    this.replayBtn.className = 'letter-control letter-replay';
+    this.replayBtn.addEventListener('click', () => this.replay());
+
+    this.controls.append(this.skipBtn, this.replayBtn);
+    this.card.appendChild(this.controls);
+    this.applyLanguage();
+    this.updateControls();
+  }
+
+  /**
+   * Show Skip while the letter is playing and Replay once it is done
+   */
+  updateControls() {
+    if (!this.controls) return;
+
+    const hadFocus = this.controls.contains(document.activeElement);
+    this.skipBtn.hidden = this.state !== 'playing';
+    this.replayBtn.hidden = this.state !== 'done';
+
+    // Keep keyboard focus on the control that replaced the one pressed
+    if (hadFocus) {
+      const visible = this.skipBtn.hidden ? this.replayBtn : this.skipBtn;
+      if (!visible.hidden) visible.focus();
+    }
+  }
+
+  applyLanguage() {
+    if (!this.controls) return;
+    this.skipBtn.textContent = t('letter.skip');
+    this.replayBtn.textContent = t('letter.replay');
+  }
+
+  later(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Stop timers and observers and remove the controls
+   */
+  destroy() {
+    this.clearTimers();
+    if (this.observer) this.observer.disconnect();
+    this.listeners.abort();
+    if (this.controls) this.controls.remove();
+    if (this.caret) this.caret.remove();
+    if (this.audio) this.audio.close().catch(() => {});
+    delete this.card.dataset.reveal;
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @param {Node} node - Element to search
+ * @param {Text[]} found - Text nodes so far
+ * @returns {Text[]} Text nodes in document order, leaving out SVG text
+ */
+function collectText(node, found = []) {
+  node.childNodes.forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) {
+      found.push(child);
+    } else if (child.nodeName.toLowerCase() !== 'svg') {
+      collectText(child, found);
+    }
+  });
+  return found;
+}
+
+/**
+ * @param {string} name - Signature to draw
+ * @returns {SVGSVGElement} aria-hidden SVG whose text is stroked by CSS
+ */
+function createSignatureSvg(name) {
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'signature-svg');
+  svg.setAttribute('aria-hidden', 'true');
+  // Rough width until the text can be measured (see fitSignature)
+  svg.style.width = `${Array.from(name).length * 0.62 + 0.4}em`;
+
+  const text = document.createElementNS(SVG_NS, 'text');
+  text.setAttribute('x', '0.1em');
+  text.setAttribute('y', '1.1em');
+  text.textContent = name;
+  svg.appendChild(text);
+  return svg;
+}
+
+/**
+ * Size the signature SVG to its text once it is laid out
+ * @param {SVGSVGElement} svg - SVG from createSignatureSvg
+ */
+function fitSignature(svg) {
+  const text = svg.querySelector('text');
+  if (typeof text.getComputedTextLength !== 'function') return;
+  const length = text.getComputedTextLength();
+  if (length > 0) svg.style.width = `${Math.ceil(length) + 8}px`;
+}
+
+// Letter reveal managed by initLetterReveal()
+let instance = null;
+
+/**
+ * Initialize the reveal of the rendered letter
+ * Safe to call again after the letter is re-rendered; the previous reveal is stopped.
+ * @param {Object|undefined} reveal - `letter.reveal` section of the config ({ mode, handwriting, sound, speed })
+ * @param {Object} options - Reveal options
+ * @param {boolean} options.continued - Same letter in another language: stay shown if the reveal had started
+ * @returns {LetterReveal|null} The reveal instance
+ */
+export function initLetterReveal(reveal = {}, options = {}) {
+  const started = instance ? instance.started : false;
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  const card = document.querySelector('.personal-message-card');
+  if (!card) {
+    console.warn('Personal message card not found');
+    return null;
+  }
+  if (!card.querySelector(LINE_SELECTOR)) {
+    console.warn('No message lines found');
+    return null;
+  }
+
+  instance = new LetterReveal(card, {
+    mode: reveal.mode || 'fade',
+    handwriting: Boolean(reveal.handwriting),
+    sound: Boolean(reveal.sound),
+    speed: reveal.speed || DEFAULT_SPEED,
+    instant: Boolean(options.continued) && started
+  });
+  return instance;
+}
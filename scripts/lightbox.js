@@ -0,0 +1,325 @@
+/**
+ * Lightbox Module
+ * Fullscreen viewer for slideshow photos with caption, navigation and download
+ * @module lightbox
+ *
+ * Usage:
+ *   const lightbox = new Lightbox({ slides });
+ *   lightbox.on('close', ({ index }) => slideshow.goTo(index));
+ *   lightbox.open(2);
+ *
+ * Image slides may give a `full` URL for the full-resolution file; `image` is
+ * used otherwise. Video, audio and card slides are shown with their own player or text.
+ */
+
+import { Emitter } from './emitter.js';
+import { createSlideMedia, describeSlide, getSlideSource, getSlideType } from './slide-media.js';
+import { t, onLanguageChange } from './i18n.js';
+
+// Horizontal distance (px) a swipe needs to change photo
+const SWIPE_DISTANCE = 50;
+
+const FOCUSABLE = 'button:not([disabled]):not([hidden]), a[href]:not([hidden]), video[controls], audio[controls]';
+
+/**
+ * Modal photo viewer
+ * Events: "open" ({ index }), "change" ({ index }), "close" ({ index }), "destroy"
+ */
+export class Lightbox extends Emitter {
+  /**
+   * @param {Object} options - Lightbox options
+   * @param {Object[]} options.slides - Slides ({ type, image, full, src, year, caption, ... })
+   * @param {string} options.label - Accessible name of the dialog (default: a translated "Photo viewer")
+   */
+  constructor(options = {}) {
+    super();
+    this.slides = options.slides || [];
+    this.label = options.label || null;
+    this.current = 0;
+    this.isOpen = false;
+    this.returnFocus = null;
+    this.swipeStart = null;
+    this.listeners = new AbortController();
+
+    this.render();
+    this.bindEvents();
+    this.applyLanguage();
+
+    const offLanguage = onLanguageChange(() => this.applyLanguage());
+    this.listeners.signal.addEventListener('abort', offLanguage);
+  }
+
+  /**
+   * Build the (hidden) dialog at the end of <body>
+   */
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'lightbox';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.hidden = true;
+
+    this.element.innerHTML = `
+      <div class="lightbox-toolbar">
+        <span class="lightbox-counter" aria-live="polite"></span>
+        <a class="lightbox-btn lightbox-download" download></a>
+        <button type="button" class="lightbox-btn lightbox-close">×</button>
+      </div>
+      <figure class="lightbox-figure">
+        <img class="lightbox-image" alt="">
+        <div class="lightbox-slot" hidden></div>
+        <p class="lightbox-error" hidden></p>
+        <figcaption class="lightbox-caption">
+          <span class="lightbox-year"></span>
+          <span class="lightbox-text"></span>
+        </figcaption>
+      </figure>
+      <button type="button" class="lightbox-btn lightbox-nav lightbox-prev">‹</button>
+      <button type="button" class="lightbox-btn lightbox-nav lightbox-next">›</button>
+    `;
+
+    this.image = this.element.querySelector('.lightbox-image');
+    this.slot = this.element.querySelector('.lightbox-slot');
+    this.errorElement = this.element.querySelector('.lightbox-error');
+    this.yearElement = this.element.querySelector('.lightbox-year');
+    this.captionElement = this.element.querySelector('.lightbox-text');
+    this.counterElement = this.element.querySelector('.lightbox-counter');
+    this.downloadLink = this.element.querySelector('.lightbox-download');
+    this.closeBtn = this.element.querySelector('.lightbox-close');
+    this.prevBtn = this.element.querySelector('.lightbox-prev');
+    this.nextBtn = this.element.querySelector('.lightbox-next');
+
+    document.body.appendChild(this.element);
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    this.closeBtn.addEventListener('click', () => this.close(), { signal });
+    this.prevBtn.addEventListener('click', () => this.goTo(this.current - 1), { signal });
+    this.nextBtn.addEventListener('click', () => this.goTo(this.current + 1), { signal });
+
+    // Clicking the backdrop (not the photo or controls) closes the viewer
+    this.element.addEventListener('click', (e) => {
+      if (e.target === this.element || e.target.classList.contains('lightbox-figure')) {
+        this.close();
+      }
+    }, { signal });
+
+    this.element.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+    this.image.addEventListener('load', () => {
+      this.element.classList.remove('is-loading');
+    }, { signal });
+    this.image.addEventListener('error', () => {
+      this.element.classList.remove('is-loading');
+      this.errorElement.hidden = false;
+    }, { signal });
+
+    // Swipe between photos
+    this.element.addEventListener('pointerdown', (e) => {
+      // Scrubbing a clip isn't a swipe
+      if (e.target.closest('video, audio')) return;
+      this.swipeStart = { x: e.clientX, y: e.clientY };
+    }, { signal });
+    this.element.addEventListener('pointerup', (e) => {
+      if (!this.swipeStart) return;
+      const dx = e.clientX - this.swipeStart.x;
+      const dy = e.clientY - this.swipeStart.y;
+      this.swipeStart = null;
+      if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        this.goTo(this.current + (dx < 0 ? 1 : -1));
+      }
+    }, { signal });
+    this.element.addEventListener('pointercancel', () => {
+      this.swipeStart = null;
+    }, { signal });
+  }
+
+  /**
+   * Label the dialog and its controls in the current language
+   */
+  applyLanguage() {
+    this.element.setAttribute('aria-label', this.label || t('lightbox.label'));
+    this.downloadLink.textContent = t('lightbox.download');
+    this.closeBtn.setAttribute('aria-label', t('lightbox.close'));
+    this.prevBtn.setAttribute('aria-label', t('lightbox.previous'));
+    this.nextBtn.setAttribute('aria-label', t('lightbox.next'));
+    this.errorElement.textContent = t('lightbox.loadError');
+    if (this.isOpen) this.show(this.current);
+  }
+
+  /**
+   * @param {KeyboardEvent} e - keydown inside the dialog
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'ArrowLeft':
+        this.goTo(this.current - 1);
+        break;
+      case 'ArrowRight':
+        this.goTo(this.current + 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.goTo(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.goTo(this.slides.length - 1);
+        break;
+      case 'Tab':
+        this.trapFocus(e);
+        break;
+      default:
+    }
+  }
+
+  /**
+   * Keep Tab and Shift+Tab cycling through the dialog's controls
+   * @param {KeyboardEvent} e - Tab keydown
+   */
+  trapFocus(e) {
+    const focusable = [...this.element.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Show the viewer on a photo
+   * @param {number} index - Slide index
+   */
+  open(index = 0) {
+    if (this.slides.length === 0) return;
+
+    if (!this.isOpen) {
+      this.returnFocus = document.activeElement;
+      this.isOpen = true;
+      this.element.hidden = false;
+      document.body.classList.add('lightbox-open');
+    }
+
+    this.show(index);
+    this.closeBtn.focus();
+    this.emit('open', { index: this.current });
+  }
+
+  /**
+   * Hide the viewer and give focus back to whatever opened it
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.element.hidden = true;
+    document.body.classList.remove('lightbox-open');
+    this.clearSlot();
+
+    if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+    this.emit('close', { index: this.current });
+  }
+
+  /**
+   * Move to another photo while open
+   * @param {number} index - Slide index (clamped to the available slides)
+   */
+  goTo(index) {
+    const target = Math.max(0, Math.min(index, this.slides.length - 1));
+    if (!this.isOpen || target === this.current) return;
+    this.show(target);
+    this.emit('change', { index: target });
+  }
+
+  /**
+   * Render a photo, its caption and the controls
+   * @param {number} index - Slide index
+   */
+  show(index) {
+    this.current = Math.max(0, Math.min(index, this.slides.length - 1));
+    const slide = this.slides[this.current];
+    const source = getSlideSource(slide);
+    const isImage = getSlideType(slide) === 'image';
+
+    this.errorElement.hidden = true;
+    this.clearSlot();
+    this.image.hidden = !isImage;
+
+    if (isImage) {
+      this.element.classList.add('is-loading');
+      // Without a dedicated full-size file, let the browser pick from the slide's srcset
+      this.image.removeAttribute('srcset');
+      if (!slide.full && slide.srcset) {
+        this.image.srcset = slide.srcset;
+        this.image.sizes = '100vw';
+      }
+      this.image.src = source;
+      this.image.alt = describeSlide(slide);
+    } else {
+      this.image.removeAttribute('src');
+      this.slot.appendChild(createSlideMedia(slide, { className: 'lightbox' }));
+      this.slot.hidden = false;
+    }
+
+    this.yearElement.textContent = slide.year || '';
+    this.captionElement.textContent = slide.caption || '';
+    this.counterElement.textContent = `${this.current + 1} / ${this.slides.length}`;
+
+    this.downloadLink.hidden = !source;
+    if (source) {
+      this.downloadLink.href = source;
+      this.downloadLink.setAttribute('download', fileName(source));
+    } else {
+      this.downloadLink.removeAttribute('href');
+    }
+
+    this.prevBtn.disabled = this.current === 0;
+    this.nextBtn.disabled = this.current === this.slides.length - 1;
+    this.prevBtn.hidden = this.slides.length < 2;
+    this.nextBtn.hidden = this.slides.length < 2;
+  }
+
+  /**
+   * Stop and remove any video, audio or card shown in place of the image
+   */
+  clearSlot() {
+    this.slot.querySelectorAll('video, audio').forEach(media => media.pause());
+    this.slot.innerHTML = '';
+    this.slot.hidden = true;
+  }
+
+  /**
+   * Close the viewer and remove it from the page
+   */
+  destroy() {
+    this.close();
+    this.listeners.abort();
+    this.element.remove();
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @param {string} url - Image URL
+ * @returns {string} Last path segment, used as the download name
+ */
+function fileName(url) {
+  const path = url.split(/[?#]/)[0];
+  return decodeURIComponent(path.substring(path.lastIndexOf('/') + 1)) || 'memory.jpg';
+}
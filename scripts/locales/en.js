@@ -0,0 +1,189 @@
+/**
+ * English messages (the fallback catalog)
+ * @module locales/en
+ *
+ * Every key used with t() must exist here; other catalogs may leave keys out.
+ */
+
+export default {
+  'common.retry': 'Try again',
+
+  'meta.description': 'A heartfelt birthday celebration for {name}',
+  'nav.label': 'Main navigation',
+  'hero.label': 'Birthday greeting',
+  'celebrate': 'Celebrate',
+  'language.label': 'Language',
+
+  'status.configError': 'This celebration could not be loaded',
+  'status.notFoundTitle': 'Birthday page not found',
+  'status.notFound': 'We couldn’t find that birthday page',
+  'status.notFoundSummary': 'There is no celebration for "{slug}" here. Maybe one of these?',
+
+  'share.label': 'Share this page',
+  'share.native': 'Share…',
+  'share.copy': 'Copy link',
+  'share.copyMemory': 'Copy link to this memory',
+  'share.showQr': 'Show QR code',
+  'share.hideQr': 'Hide QR code',
+  'share.qrLabel': 'QR code for this page',
+  'share.qrCaption': 'Scan to open this page on another device',
+  'share.qrFailed': 'A QR code couldn’t be made for this link',
+  'share.title': 'Happy Birthday {name}!',
+  'share.text': 'Check out this special birthday celebration!',
+  'share.copied': 'Link copied to clipboard!',
+  'share.copyFailed': 'Failed to copy link',
+
+  'theme.label': 'Colour theme',
+  'theme.auto': 'Auto',
+  'theme.classic': 'Gold & navy',
+  'theme.pastel': 'Pastel',
+  'theme.night': 'Night sky',
+
+  'letter.skip': 'Show the whole letter',
+  'letter.replay': 'Replay the letter',
+
+  'intro.title': 'A surprise for {name}',
+  'intro.hint': 'Tap to open',
+  'intro.openEnvelope': 'Open the envelope',
+  'intro.openGift': 'Open the gift',
+  'intro.skip': 'Skip intro',
+
+  'countdown.title': 'Almost time… 🎁',
+  'countdown.heading': 'Almost time…',
+  'countdown.recipientHeading': 'Something special for {name} is on its way',
+  'countdown.opens': 'Opens {when}',
+  'countdown.preview': 'Preview: the countdown is skipped',
+  'countdown.days': 'Days',
+  'countdown.hours': 'Hours',
+  'countdown.minutes': 'Minutes',
+  'countdown.seconds': 'Seconds',
+
+  'music.label': 'Background music',
+  'music.previous': 'Previous track',
+  'music.next': 'Next track',
+  'music.volume': 'Music volume',
+  'music.play': 'Play background music',
+  'music.pause': 'Pause background music',
+  'music.tapToStart': 'Tap anywhere to start the music.',
+  'music.loadError': 'The music couldn’t be loaded.',
+  'music.skipping': 'Couldn’t load “{title}”, skipping.',
+
+  'slideshow.heading': 'Cherished Memories',
+  'slideshow.label': 'Memory slideshow',
+  'slideshow.previous': 'Previous memory',
+  'slideshow.next': 'Next memory',
+  'slideshow.indicators': 'Slide navigation',
+  'slideshow.play': 'Play slideshow',
+  'slideshow.pause': 'Pause slideshow',
+  'slideshow.slide': '{n} of {total}',
+  'slideshow.goTo': 'Go to slide {n}',
+  'slideshow.loadError': 'This memory couldn’t be loaded.',
+
+  'media.image': 'Memory',
+  'media.imageFrom': 'Memory from {year}',
+  'media.video': 'Video memory',
+  'media.videoFrom': 'Video memory from {year}',
+  'media.audio': 'Voice note',
+  'media.audioFrom': 'Voice note from {year}',
+
+  'lightbox.label': 'Photo viewer',
+  'lightbox.download': 'Download',
+  'lightbox.close': 'Close photo viewer',
+  'lightbox.previous': 'Previous photo',
+  'lightbox.next': 'Next photo',
+  'lightbox.loadError': 'This photo couldn’t be loaded.',
+
+  'game.heading': 'Birthday Trivia Challenge',
+  'game.defaultName': 'the birthday star',
+  'game.loading': 'Loading questions…',
+  'game.loadError': 'The trivia questions couldn’t be loaded.',
+  'game.timeRemaining': 'Time remaining',
+  'game.ready': {
+    one: 'Ready? {count} timed question about {name}.',
+    other: 'Ready? {count} timed questions about {name}.'
+  },
+  'game.start': 'Start',
+  'game.true': 'True',
+  'game.false': 'False',
+  'game.option': 'Option {n}: {label}',
+  'game.photo': 'Photo {n}',
+  'game.yourAnswer': 'Your answer',
+  'game.submit': 'Answer',
+  'game.answerWas': 'The answer was “{answer}”.',
+  'game.correct': '🎉 Correct! +{points}',
+  'game.streakBonus': '(🔥 ×{multiplier} streak)',
+  'game.timeUp': '⏱ Time’s up!',
+  'game.incorrect': 'Not quite!',
+  'game.reviewCorrect': '✔ You got this one (+{points}).',
+  'game.reviewTimedOut': '⏱ Time ran out.',
+  'game.reviewIncorrect': '✘ Not this time.',
+  'game.score': 'Score: {score}',
+  'game.progress': 'Question {n} of {total}',
+  'game.complete': 'Game Complete!',
+  'game.finalScore': 'Your Score: {score}',
+  'game.summary': {
+    one: '{correct} / {total} correct · best streak {count}',
+    other: '{correct} / {total} correct · best streak {count}'
+  },
+  'game.resultPerfect': '🌟 Perfect score! You know {name} so well!',
+  'game.resultGreat': "🎊 Great job! You're a true friend!",
+  'game.resultGood': '👍 Good effort! You know {name} pretty well!',
+  'game.resultThanks': '😊 Thanks for playing! Get to know {name} better!',
+  'game.review': 'Review answers',
+  'game.reviewPrev': '← Previous',
+  'game.reviewNext': 'Next →',
+  'game.reviewResults': 'Back to results',
+  'game.playAgain': 'Play Again',
+  'game.namePlaceholder': 'Your name',
+  'game.nameLabel': 'Your name for the leaderboard',
+  'game.saveScore': 'Save score',
+  'game.saveFailed': 'Your score couldn’t be saved on this device.',
+  'game.highScores': 'High Scores',
+  'game.export': 'Export',
+  'game.import': 'Import',
+  'game.imported': 'Leaderboard imported.',
+  'game.importInvalidJson': 'That file is not valid JSON.',
+  'game.importNoLeaderboard': 'That file does not contain a leaderboard.',
+  'game.importNoEntries': 'None of the entries in that file could be read.',
+  'game.anonymous': 'Anonymous',
+  'game.noScores': 'No scores yet. Be the first!',
+  'game.entry': {
+    one: '{count} pt · {correct}/{total}',
+    other: '{count} pts · {correct}/{total}'
+  },
+
+  'guestbook.heading': 'Birthday Wishes',
+  'guestbook.formTitle': 'Leave a wish',
+  'guestbook.name': 'Your name',
+  'guestbook.wish': 'Your wish',
+  'guestbook.send': 'Send wish',
+  'guestbook.sort': 'Sort by',
+  'guestbook.newest': 'Newest first',
+  'guestbook.oldest': 'Oldest first',
+  'guestbook.nameMissing': 'Please add your name.',
+  'guestbook.nameTooLong': {
+    one: 'Names can be at most {count} character.',
+    other: 'Names can be at most {count} characters.'
+  },
+  'guestbook.wishMissing': 'Please write a wish.',
+  'guestbook.wishTooLong': {
+    one: 'Wishes can be at most {count} character.',
+    other: 'Wishes can be at most {count} characters.'
+  },
+  'guestbook.empty': 'No wishes yet. Be the first!',
+  'guestbook.more': {
+    zero: 'Show more wishes',
+    one: 'Show {count} more wish',
+    other: 'Show {count} more wishes'
+  },
+  'guestbook.loadError': 'We couldn’t load the birthday wishes right now.',
+  'guestbook.queued': 'Couldn’t send yet — will retry automatically',
+  'guestbook.sending': 'Sending…',
+  'guestbook.failed': 'This wish couldn’t be sent.',
+  'guestbook.photoAlt': 'Photo from {author}',
+  'guestbook.invalid': 'This wish couldn’t be displayed.',
+
+  'eggs.defaultTitle': 'You found a secret! 🥚',
+  'eggs.progress': 'Easter egg {n} of {total}',
+  'eggs.close': 'Close secret message'
+};
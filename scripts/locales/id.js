@@ -0,0 +1,184 @@
+/**
+ * Indonesian messages
+ * @module locales/id
+ *
+ * Indonesian has no grammatical plural, so plural entries only need "other".
+ */
+
+export default {
+  'common.retry': 'Coba lagi',
+
+  'meta.description': 'Perayaan ulang tahun yang tulus untuk {name}',
+  'nav.label': 'Navigasi utama',
+  'hero.label': 'Ucapan ulang tahun',
+  'celebrate': 'Rayakan',
+  'language.label': 'Bahasa',
+
+  'status.configError': 'Perayaan ini tidak dapat dimuat',
+  'status.notFoundTitle': 'Halaman ulang tahun tidak ditemukan',
+  'status.notFound': 'Kami tidak menemukan halaman ulang tahun itu',
+  'status.notFoundSummary': 'Tidak ada perayaan untuk "{slug}" di sini. Mungkin salah satu dari ini?',
+
+  'share.label': 'Bagikan halaman ini',
+  'share.native': 'Bagikan…',
+  'share.copy': 'Salin tautan',
+  'share.copyMemory': 'Salin tautan ke kenangan ini',
+  'share.showQr': 'Tampilkan kode QR',
+  'share.hideQr': 'Sembunyikan kode QR',
+  'share.qrLabel': 'Kode QR untuk halaman ini',
+  'share.qrCaption': 'Pindai untuk membuka halaman ini di perangkat lain',
+  'share.qrFailed': 'Kode QR tidak dapat dibuat untuk tautan ini',
+  'share.title': 'Selamat Ulang Tahun {name}!',
+  'share.text': 'Lihat perayaan ulang tahun istimewa ini!',
+  'share.copied': 'Tautan disalin ke papan klip!',
+  'share.copyFailed': 'Gagal menyalin tautan',
+
+  'theme.label': 'Tema warna',
+  'theme.auto': 'Otomatis',
+  'theme.classic': 'Emas & biru tua',
+  'theme.pastel': 'Pastel',
+  'theme.night': 'Langit malam',
+
+  'letter.skip': 'Tampilkan seluruh surat',
+  'letter.replay': 'Putar ulang surat',
+
+  'intro.title': 'Kejutan untuk {name}',
+  'intro.hint': 'Ketuk untuk membuka',
+  'intro.openEnvelope': 'Buka amplop',
+  'intro.openGift': 'Buka kado',
+  'intro.skip': 'Lewati intro',
+
+  'countdown.title': 'Sebentar lagi… 🎁',
+  'countdown.heading': 'Sebentar lagi…',
+  'countdown.recipientHeading': 'Sesuatu yang istimewa untuk {name} sedang dalam perjalanan',
+  'countdown.opens': 'Dibuka {when}',
+  'countdown.preview': 'Pratinjau: hitung mundur dilewati',
+  'countdown.days': 'Hari',
+  'countdown.hours': 'Jam',
+  'countdown.minutes': 'Menit',
+  'countdown.seconds': 'Detik',
+
+  'music.label': 'Musik latar',
+  'music.previous': 'Lagu sebelumnya',
+  'music.next': 'Lagu berikutnya',
+  'music.volume': 'Volume musik',
+  'music.play': 'Putar musik latar',
+  'music.pause': 'Jeda musik latar',
+  'music.tapToStart': 'Ketuk di mana saja untuk memulai musik.',
+  'music.loadError': 'Musik tidak dapat dimuat.',
+  'music.skipping': 'Tidak dapat memuat “{title}”, dilewati.',
+
+  'slideshow.heading': 'Kenangan Berharga',
+  'slideshow.label': 'Tayangan kenangan',
+  'slideshow.previous': 'Kenangan sebelumnya',
+  'slideshow.next': 'Kenangan berikutnya',
+  'slideshow.indicators': 'Navigasi slide',
+  'slideshow.play': 'Putar tayangan',
+  'slideshow.pause': 'Jeda tayangan',
+  'slideshow.slide': '{n} dari {total}',
+  'slideshow.goTo': 'Ke slide {n}',
+  'slideshow.loadError': 'Kenangan ini tidak dapat dimuat.',
+
+  'media.image': 'Kenangan',
+  'media.imageFrom': 'Kenangan dari {year}',
+  'media.video': 'Video kenangan',
+  'media.videoFrom': 'Video kenangan dari {year}',
+  'media.audio': 'Pesan suara',
+  'media.audioFrom': 'Pesan suara dari {year}',
+
+  'lightbox.label': 'Penampil foto',
+  'lightbox.download': 'Unduh',
+  'lightbox.close': 'Tutup penampil foto',
+  'lightbox.previous': 'Foto sebelumnya',
+  'lightbox.next': 'Foto berikutnya',
+  'lightbox.loadError': 'Foto ini tidak dapat dimuat.',
+
+  'game.heading': 'Tantangan Kuis Ulang Tahun',
+  'game.defaultName': 'sang bintang ulang tahun',
+  'game.loading': 'Memuat pertanyaan…',
+  'game.loadError': 'Pertanyaan kuis tidak dapat dimuat.',
+  'game.timeRemaining': 'Sisa waktu',
+  'game.ready': {
+    one: 'Siap? {count} pertanyaan berwaktu tentang {name}.',
+    other: 'Siap? {count} pertanyaan berwaktu tentang {name}.'
+  },
+  'game.start': 'Mulai',
+  'game.true': 'Benar',
+  'game.false': 'Salah',
+  'game.option': 'Pilihan {n}: {label}',
+  'game.photo': 'Foto {n}',
+  'game.yourAnswer': 'Jawabanmu',
+  'game.submit': 'Jawab',
+  'game.answerWas': 'Jawabannya adalah “{answer}”.',
+  'game.correct': '🎉 Benar! +{points}',
+  'game.streakBonus': '(🔥 ×{multiplier} beruntun)',
+  'game.timeUp': '⏱ Waktu habis!',
+  'game.incorrect': 'Belum tepat!',
+  'game.reviewCorrect': '✔ Kamu menjawab benar (+{points}).',
+  'game.reviewTimedOut': '⏱ Waktu habis.',
+  'game.reviewIncorrect': '✘ Kali ini belum.',
+  'game.score': 'Skor: {score}',
+  'game.progress': 'Pertanyaan {n} dari {total}',
+  'game.complete': 'Permainan Selesai!',
+  'game.finalScore': 'Skormu: {score}',
+  'game.summary': {
+    other: '{correct} / {total} benar · beruntun terbaik {count}'
+  },
+  'game.resultPerfect': '🌟 Skor sempurna! Kamu sangat mengenal {name}!',
+  'game.resultGreat': '🎊 Hebat! Kamu sahabat sejati!',
+  'game.resultGood': '👍 Usaha yang bagus! Kamu cukup mengenal {name}!',
+  'game.resultThanks': '😊 Terima kasih sudah bermain! Kenali {name} lebih dekat!',
+  'game.review': 'Tinjau jawaban',
+  'game.reviewPrev': '← Sebelumnya',
+  'game.reviewNext': 'Berikutnya →',
+  'game.reviewResults': 'Kembali ke hasil',
+  'game.playAgain': 'Main Lagi',
+  'game.namePlaceholder': 'Namamu',
+  'game.nameLabel': 'Namamu untuk papan skor',
+  'game.saveScore': 'Simpan skor',
+  'game.saveFailed': 'Skor kamu tidak bisa disimpan di perangkat ini.',
+  'game.highScores': 'Skor Tertinggi',
+  'game.export': 'Ekspor',
+  'game.import': 'Impor',
+  'game.imported': 'Papan skor diimpor.',
+  'game.importInvalidJson': 'Berkas itu bukan JSON yang valid.',
+  'game.importNoLeaderboard': 'Berkas itu tidak berisi papan skor.',
+  'game.importNoEntries': 'Tidak ada entri dalam berkas itu yang bisa dibaca.',
+  'game.anonymous': 'Anonim',
+  'game.noScores': 'Belum ada skor. Jadilah yang pertama!',
+  'game.entry': {
+    other: '{count} poin · {correct}/{total}'
+  },
+
+  'guestbook.heading': 'Ucapan Ulang Tahun',
+  'guestbook.formTitle': 'Tinggalkan ucapan',
+  'guestbook.name': 'Namamu',
+  'guestbook.wish': 'Ucapanmu',
+  'guestbook.send': 'Kirim ucapan',
+  'guestbook.sort': 'Urutkan',
+  'guestbook.newest': 'Terbaru dulu',
+  'guestbook.oldest': 'Terlama dulu',
+  'guestbook.nameMissing': 'Tolong isi namamu.',
+  'guestbook.nameTooLong': {
+    other: 'Nama paling banyak {count} karakter.'
+  },
+  'guestbook.wishMissing': 'Tolong tulis ucapanmu.',
+  'guestbook.wishTooLong': {
+    other: 'Ucapan paling banyak {count} karakter.'
+  },
+  'guestbook.empty': 'Belum ada ucapan. Jadilah yang pertama!',
+  'guestbook.more': {
+    zero: 'Tampilkan ucapan lainnya',
+    other: 'Tampilkan {count} ucapan lagi'
+  },
+  'guestbook.loadError': 'Ucapan ulang tahun belum dapat dimuat.',
+  'guestbook.queued': 'Belum terkirim — akan dicoba lagi otomatis',
+  'guestbook.sending': 'Mengirim…',
+  'guestbook.failed': 'Ucapan ini tidak bisa dikirim.',
+  'guestbook.photoAlt': 'Foto dari {author}',
+  'guestbook.invalid': 'Ucapan ini tidak dapat ditampilkan.',
+
+  'eggs.defaultTitle': 'Kamu menemukan rahasia! 🥚',
+  'eggs.progress': 'Telur paskah {n} dari {total}',
+  'eggs.close': 'Tutup pesan rahasia'
+};
@@ -4,29 +4,52 @@
  * @module main
  */
 
-import { initConfetti, triggerConfetti } from './confetti.js';
+import { initConfetti, triggerConfetti, setConfettiMode } from './confetti.js';
 import { initSlideshow } from './slideshow.js';
+import { initGame } from './game.js';
+import { loadRecipientIndex, loadConfig, localizeConfig } from './config.js';
+import { getCurrentSlug, hrefFor, onRouteChange, isPreview, getDeepLink, shareUrl, isRouteHash } from './router.js';
+import { initGuestbook } from './guestbook.js';
+import { initMusic, getMusicPlayer } from './music.js';
+import { initChoreography } from './choreography.js';
+import { Countdown, getCountdownTarget } from './countdown.js';
+import { initEasterEggs } from './easter-eggs.js';
+import { initThemes, setRecipientTheme } from './themes.js';
+import { initI18n, t, getLanguage, onLanguageChange } from './i18n.js';
+import { createQrSvg } from './qrcode.js';
+import { initLetterReveal } from './letter-reveal.js';
+import { initIntro, getIntro } from './intro.js';
 
 // State management
 const state = {
-  isAudioPlaying: false,
+  recipients: null,
+  slug: null,
+  config: null,
+  renderId: 0,
+  countdown: null,
+  slideshow: null,
   easterEggCount: 0,
   messagesLoaded: false
 };
 
+// Sections a deep link (#memories/3, #/kyla/wishes) can jump to
+const DEEP_LINK_SECTIONS = {
+  letter: '.personal-message-section',
+  memories: '.slideshow-section',
+  trivia: '.game-section',
+  wishes: '.messages-section'
+};
+
 /**
  * Initialize the application
  */
 async function init() {
-  // Initialize components
-  initConfetti();
-  initSlideshow();
+  // Initialize page-wide components
+  initI18n();
+  onLanguageChange(handleLanguageChange);
+  initConfetti({ worker: true });
+  initThemes();
   initOrnaments();
-  initPersonalMessageReveal();
-  syncAudioToggle();
-  
-  // Load messages
-  await loadMessages();
   
   // Setup event listeners
   setupEventListeners();
@@ -36,95 +59,461 @@ async function init() {
   
   // Animate message cards on scroll
   setupScrollAnimations();
+  
+  // Load the list of people this deployment celebrates
+  try {
+    state.recipients = await loadRecipientIndex();
+  } catch (error) {
+    console.error('Error loading recipient index:', error);
+    renderConfigErrors(error);
+    return;
+  }
+  
+  // Render the requested person and follow later route changes
+  onRouteChange(handleRouteChange);
+  await renderRoute();
 }
 
 /**
- * Setup all event listeners
+ * Follow a hash change: another recipient re-renders the page, while a deep
+ * link into the page already on screen only scrolls to it
+ * @param {string|null} slug - Slug named by the new URL
  */
-function setupEventListeners() {
-  // Celebrate button (hero - hidden in CSS) kept for fallback
-  const celebrateBtn = document.getElementById('celebrate-btn');
-  if (celebrateBtn) celebrateBtn.addEventListener('click', handleCelebrate);
-  const celebrateHero = document.getElementById('celebrate-hero');
-  if (celebrateHero) celebrateHero.addEventListener('click', handleCelebrate);
-  
-  // Audio toggle
-  const audioToggle = document.getElementById('audio-toggle');
-  if (audioToggle) audioToggle.addEventListener('click', toggleAudio);
+function handleRouteChange(slug) {
+  // Anchors that aren't routes, such as a skip link, leave the page alone
+  if (!isRouteHash(Object.keys(DEEP_LINK_SECTIONS))) return;
   
+  const onScreen = state.config && !state.countdown && (slug || state.recipients.default) === state.slug;
+  if (onScreen) {
+    showDeepLink();
+    return;
+  }
+  renderRoute();
 }
 
 /**
- * Load birthday messages from JSON file
+ * Render the recipient named by the current route
+ * Re-renders hero, letter, slideshow and game in place without a reload.
  */
-async function loadMessages() {
-  const messagesContainer = document.getElementById('messages-container');
+async function renderRoute() {
+  const renderId = ++state.renderId;
+  const slug = getCurrentSlug() || state.recipients.default;
+
+  if (state.countdown) {
+    state.countdown.destroy();
+    state.countdown = null;
+  }
+  // The intro belongs to the recipient it was shown for
+  initIntro(false);
+  // Own entries only: "#/constructor" must not find Object.prototype members
+  const { recipients } = state.recipients;
+  const entry = Object.hasOwn(recipients, slug) ? recipients[slug] : null;
   
-  if (!messagesContainer) return;
+  if (!entry) {
+    state.slug = null;
+    state.config = null;
+    renderNotFound(slug);
+    return;
+  }
   
+  let config;
   try {
-    const response = await fetch('data/messages.json');
-    
-    if (!response.ok) {
-      throw new Error('Failed to load messages');
+    config = await loadConfig(entry.config);
+  } catch (error) {
+    if (renderId !== state.renderId) return;
+    console.error(`Error loading config for "${slug}":`, error);
+    state.slug = null;
+    state.config = null;
+    renderConfigErrors(error);
+    return;
+  }
+  
+  // A newer route change finished first
+  if (renderId !== state.renderId) return;
+  
+  state.slug = slug;
+  state.config = config;
+  
+  setRecipientTheme(config.theme);
+  setConfettiMode(config.confetti);
+
+  // Keep the page locked until the birthday moment, unless the author is previewing
+  if (config.countdown) {
+    const target = getCountdownTarget(config.countdown.date, config.countdown.timeZone);
+    if (isPreview()) {
+      showNotification(t('countdown.preview'));
+    } else if (target > Date.now()) {
+      renderCountdown(config, target);
+      return;
     }
-    
-    const data = await response.json();
-    const messages = data.messages || [];
-    
-    // Clear existing content (including noscript fallback)
-    messagesContainer.innerHTML = '';
-    
-    // Render messages
-    messages.forEach((message, index) => {
-      const card = createMessageCard(message, index);
-      messagesContainer.appendChild(card);
+  }
+  
+  await renderCelebration(config, slug);
+  if (renderId === state.renderId) afterIntro(showDeepLink);
+}
+
+/**
+ * Render every section of the celebration page
+ * @param {Object} config - Celebration config
+ * @param {string} slug - Recipient slug
+ */
+async function renderCelebration(config, slug) {
+  hideStatusPanel();
+  renderText();
+  
+  state.slideshow = initSlideshow(config.slides, config.slideshow);
+  const player = initMusic(config.music);
+  initIntro(localizeConfig(config, getLanguage()).intro, {
+    recipientName: getRecipientName(),
+    storageKey: `intro-seen:${slug}`
+  });
+  initChoreography(config.music && config.music.sync, { player, slideshow: state.slideshow });
+  const eggs = initEasterEggs(config.easterEggs, { storageKey: `easter-eggs:${slug}` });
+  state.easterEggCount = eggs ? eggs.found.length : 0;
+  if (eggs) {
+    eggs.on('found', ({ count }) => {
+      state.easterEggCount = count;
     });
-    
-    state.messagesLoaded = true;
-  } catch (error) {
-    console.error('Error loading messages:', error);
-    
-    // Show fallback message
-    messagesContainer.innerHTML = `
-      <div class="message-card">
-        <p class="message-text">Wishing you the happiest of birthdays, Amanda Kyla! May this year bring you joy, adventure, and all the wonderful things you deserve.</p>
-        <p class="message-author">— With love from everyone</p>
-      </div>
-    `;
   }
+  const game = initGame(config.trivia, {
+    recipientName: getRecipientName(),
+    slides: config.slides,
+    leaderboardKey: `trivia-leaderboard:${slug}`
+  });
+  if (eggs) game.then(trivia => eggs.watchGame(trivia));
+  initLetterReveal(config.letter.reveal);
+  
+  // Load guestbook messages
+  state.messagesLoaded = await initGuestbook(config.guestbook, slug);
+}
+
+/**
+ * Show the countdown gate in place of the page; at zero the page is revealed
+ * @param {Object} config - Celebration config with a `countdown` section
+ * @param {number} target - Moment the page opens (ms since the epoch)
+ */
+function renderCountdown(config, target) {
+  const panel = showStatusPanel('countdown');
+  if (!panel) return;
+  
+  document.title = t('countdown.title');
+  
+  const { countdown } = localizeConfig(config, getLanguage());
+  const countdownTimer = new Countdown(panel, {
+    target,
+    heading: countdown.heading || t('countdown.recipientHeading', { name: getRecipientName() }),
+    message: countdown.message,
+    timeZone: countdown.timeZone
+  });
+  state.countdown = countdownTimer;
+  const renderId = state.renderId;
+  
+  countdownTimer.on('complete', async () => {
+    countdownTimer.destroy();
+    state.countdown = null;
+    await renderCelebration(config, state.slug);
+    // The visitor moved to another page while the guestbook was loading
+    if (renderId !== state.renderId) return;
+    afterIntro(celebrateReveal);
+  });
+}
+
+/**
+ * Run a step once the intro is out of the way (at once when there is none)
+ * @param {Function} callback - Step that needs the page on screen
+ */
+function afterIntro(callback) {
+  const intro = getIntro();
+  if (intro) {
+    intro.on('close', () => callback());
+  } else {
+    callback();
+  }
+}
+
+/**
+ * The big moment: a confetti sequence and the music
+ */
+function celebrateReveal() {
+  triggerConfetti({ emitter: 'cannon', count: 200, shapes: ['ribbon', 'square', 'circle'] });
+  setTimeout(() => triggerConfetti({ emitter: 'fireworks', count: 240, shells: 4 }), 900);
+  setTimeout(() => triggerConfetti({ emitter: 'rain', count: 150, shapes: ['ribbon', 'star', 'heart'] }), 2400);
+  
+  // Browsers may hold the music until the visitor taps the page
+  const player = getMusicPlayer();
+  if (player) player.resume();
+}
+
+/**
+ * Render the config-driven text (hero, letter, section headings) in the current language
+ */
+function renderText() {
+  const config = localizeConfig(state.config, getLanguage());
+  renderHero(config);
+  renderLetter(config.letter);
+  
+  const gameHeading = document.getElementById('game-heading');
+  if (gameHeading) gameHeading.textContent = (config.trivia && config.trivia.heading) || t('game.heading');
+  const messagesHeading = document.getElementById('messages-heading');
+  if (messagesHeading) messagesHeading.textContent = (config.guestbook && config.guestbook.heading) || t('guestbook.heading');
+  
+  const intro = getIntro();
+  if (intro) intro.setTitle(config.intro && config.intro.title);
+}
+
+/**
+ * Redraw what main.js renders after a language switch; components relabel themselves
+ */
+function handleLanguageChange() {
+  if (!state.recipients) return;
+  
+  // Status pages (unknown recipient, broken config) hold no state worth keeping
+  if (!state.config) {
+    renderRoute();
+    return;
+  }
+  
+  if (state.countdown) {
+    const { target } = state.countdown;
+    state.countdown.destroy();
+    renderCountdown(state.config, target);
+    return;
+  }
+  
+  renderText();
+  initLetterReveal(state.config.letter.reveal, { continued: true });
+}
+
+/**
+ * Name used in running text, e.g. "Happy Birthday Kyla!"
+ * @returns {string} Short name of the current recipient
+ */
+function getRecipientName() {
+  if (!state.config) return '';
+  const { recipient } = state.config;
+  return recipient.shortName || recipient.name;
 }
 
 /**
- * Create a message card element
- * @param {Object} message - Message object with text and author
- * @param {number} index - Index for staggered animation
- * @returns {HTMLElement} Message card element
+ * Render the hero greeting and document metadata from config
+ * @param {Object} config - Celebration config
  */
-function createMessageCard(message, index) {
-  const card = document.createElement('div');
-  card.className = 'message-card';
-  card.style.animationDelay = `${index * 0.1}s`;
+function renderHero(config) {
+  const { recipient, hero } = config;
   
-  const text = document.createElement('p');
-  text.className = 'message-text';
-  text.textContent = message.text;
+  const line = document.querySelector('.hero-line');
+  const name = document.querySelector('.hero-name');
+  const subtitle = document.querySelector('.hero-subtitle');
   
-  const author = document.createElement('p');
-  author.className = 'message-author';
-  author.textContent = `— ${message.author}`;
+  if (line) line.textContent = hero.greeting;
+  if (name) name.textContent = recipient.name;
+  if (subtitle) subtitle.textContent = hero.subtitle || '';
   
-  card.appendChild(text);
-  card.appendChild(author);
+  document.title = `${hero.greeting} ${getRecipientName()}! 🎉`;
+  const description = document.querySelector('meta[name="description"]');
+  if (description) {
+    description.setAttribute('content', t('meta.description', { name: recipient.name }));
+  }
+}
+
+/**
+ * Render the personal letter paragraphs from config
+ * @param {Object} letter - Letter section of the config
+ */
+function renderLetter(letter) {
+  const heading = document.getElementById('personal-message-heading');
+  const content = document.querySelector('.personal-message-card .message-content');
+  if (!content) return;
   
-  return card;
+  if (heading) heading.textContent = letter.heading;
+  content.innerHTML = '';
+  
+  if (letter.intro) {
+    const intro = document.createElement('p');
+    intro.className = 'message-intro';
+    intro.textContent = letter.intro;
+    content.appendChild(intro);
+  }
+  
+  letter.paragraphs.forEach(paragraph => {
+    const body = document.createElement('p');
+    body.className = 'message-body';
+    body.textContent = paragraph;
+    content.appendChild(body);
+  });
+  
+  if (letter.signoff || letter.signature) {
+    const signature = document.createElement('p');
+    signature.className = 'message-signature';
+    if (letter.signoff) {
+      signature.appendChild(document.createTextNode(letter.signoff));
+    }
+    if (letter.signoff && letter.signature) {
+      signature.appendChild(document.createElement('br'));
+    }
+    if (letter.signature) {
+      const name = document.createElement('span');
+      name.className = 'signature-name';
+      name.textContent = letter.signature;
+      signature.appendChild(name);
+    }
+    content.appendChild(signature);
+  }
+}
+
+/**
+ * Show a readable list of config problems in place of the page content
+ * @param {Error} error - Error thrown by loadRecipientIndex() or loadConfig()
+ */
+function renderConfigErrors(error) {
+  const panel = showStatusPanel('config-error');
+  if (!panel) return;
+  
+  const heading = document.createElement('h2');
+  heading.textContent = t('status.configError');
+  
+  const summary = document.createElement('p');
+  summary.textContent = error.message;
+  
+  panel.appendChild(heading);
+  panel.appendChild(summary);
+  
+  if (error.errors && error.errors.length > 0) {
+    const list = document.createElement('ul');
+    error.errors.forEach(problem => {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      list.appendChild(item);
+    });
+    panel.appendChild(list);
+  }
+}
+
+/**
+ * Show a friendly page for a slug that matches nobody
+ * @param {string} slug - The unknown slug from the URL
+ */
+function renderNotFound(slug) {
+  const panel = showStatusPanel('not-found');
+  if (!panel) return;
+  
+  document.title = t('status.notFoundTitle');
+  
+  const heading = document.createElement('h2');
+  heading.textContent = t('status.notFound');
+  
+  const summary = document.createElement('p');
+  summary.textContent = t('status.notFoundSummary', { slug });
+  
+  const list = document.createElement('ul');
+  list.className = 'not-found-links';
+  Object.entries(state.recipients.recipients).forEach(([recipientSlug, entry]) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = hrefFor(recipientSlug);
+    link.textContent = entry.name;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  
+  panel.appendChild(heading);
+  panel.appendChild(summary);
+  panel.appendChild(list);
+}
+
+// Landmark role per status panel; the countdown ticks every second, so it
+// mustn't be a live region
+const STATUS_ROLES = {
+  'config-error': 'alert',
+  countdown: 'region'
+};
+
+/**
+ * Hide the content sections and return an empty status panel to fill
+ * @param {string} className - Modifier class for the panel
+ * @returns {HTMLElement|null} The panel element
+ */
+function showStatusPanel(className) {
+  const main = document.querySelector('main');
+  if (!main) return null;
+  
+  main.querySelectorAll(':scope > section:not(.status-panel)').forEach(section => {
+    section.hidden = true;
+  });
+  
+  let panel = main.querySelector('.status-panel');
+  if (!panel) {
+    panel = document.createElement('section');
+    main.prepend(panel);
+  }
+  
+  panel.className = `status-panel ${className}`;
+  panel.setAttribute('role', STATUS_ROLES[className] || 'status');
+  panel.innerHTML = '';
+  panel.hidden = false;
+  return panel;
+}
+
+/**
+ * Remove the status panel and reveal the content sections again
+ */
+function hideStatusPanel() {
+  const main = document.querySelector('main');
+  if (!main) return;
+  
+  const panel = main.querySelector('.status-panel');
+  if (panel) panel.remove();
+  
+  main.querySelectorAll(':scope > section').forEach(section => {
+    section.hidden = false;
+  });
+}
+
+/**
+ * Setup all event listeners
+ */
+function setupEventListeners() {
+  // Celebrate button (hero - hidden in CSS) kept for fallback
+  const celebrateBtn = document.getElementById('celebrate-btn');
+  if (celebrateBtn) celebrateBtn.addEventListener('click', handleCelebrate);
+  const celebrateHero = document.getElementById('celebrate-hero');
+  if (celebrateHero) celebrateHero.addEventListener('click', handleCelebrate);
+  
+  // Celebrate icon that stays in reach once the hero scrolls away
+  injectCelebrateTop();
+  setupShareMenu();
+}
+
+/**
+ * Scroll to the section named by a deep link, turning the slideshow to the linked memory
+ */
+function showDeepLink() {
+  const link = getDeepLink();
+  if (!link) return;
+  
+  const selector = DEEP_LINK_SECTIONS[link.section];
+  if (!selector) {
+    console.warn(`Unknown section "${link.section}" in the link`);
+    return;
+  }
+  
+  const section = document.querySelector(selector);
+  if (!section || section.hidden) return;
+  
+  if (link.section === 'memories' && link.item && state.slideshow) {
+    state.slideshow.goTo(link.item - 1);
+  }
+  // Smooth unless reduced motion is preferred (scroll-behavior in main.css)
+  section.scrollIntoView({ block: 'start' });
 }
 
 /**
  * Handle celebrate button click
+ * @param {MouseEvent} e - Click on a celebrate button
  */
-function handleCelebrate() {
-  triggerConfetti();
+function handleCelebrate(e) {
+  // Burst out of the button that was pressed
+  triggerConfetti({ origin: e.currentTarget });
   
   // Add celebratory feedback
   const btn = document.getElementById('celebrate-btn');
@@ -156,7 +545,8 @@ function injectCelebrateTop() {
     const btn = document.createElement('button');
     btn.id = 'celebrate-top';
     btn.className = 'icon-btn celebrate-btn';
-    btn.setAttribute('aria-label', 'Celebrate');
+    btn.setAttribute('aria-label', t('celebrate'));
+    btn.dataset.i18nLabel = 'celebrate';
     btn.innerHTML = `
       <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
         <path d="M3 22l3-7 7-3-7 3-3 7zm9-9l6-6m-2 8l2-2m-8-2l2-2" />
@@ -168,77 +558,130 @@ function injectCelebrateTop() {
 }
 
 /**
- * Toggle background music
+ * Wire the header share menu: native share, copy link, a link to the memory
+ * on screen and a QR code generated offline
  */
-function toggleAudio() {
-  const audio = document.getElementById('background-music');
-  const btn = document.getElementById('audio-toggle');
-  if (!audio || !btn) return;
-  
-  if (state.isAudioPlaying) {
-    audio.pause();
-    state.isAudioPlaying = false;
-    btn.setAttribute('aria-pressed', 'false');
-    syncAudioToggle();
-  } else {
-    if (audio.readyState === 0) {
-      audio.load();
+function setupShareMenu() {
+  const menu = document.querySelector('.share-menu');
+  const toggle = document.getElementById('share-toggle');
+  const panel = document.getElementById('share-panel');
+  if (!menu || !toggle || !panel) {
+    console.warn('Share menu not found');
+    return;
+  }
+  
+  const nativeBtn = panel.querySelector('[data-share="native"]');
+  const memoryBtn = panel.querySelector('[data-share="memory"]');
+  const qrBtn = panel.querySelector('[data-share="qr"]');
+  const qr = document.getElementById('share-qr');
+  
+  const showQr = (visible) => {
+    if (!qrBtn || !qr) return;
+    if (visible) {
+      try {
+        qr.querySelector('.share-qr-code').innerHTML = createQrSvg(shareUrl());
+      } catch (error) {
+        console.error('Error creating QR code:', error);
+        showNotification(t('share.qrFailed'));
+        visible = false;
+      }
+    }
+    qr.hidden = !visible;
+    qrBtn.setAttribute('aria-expanded', String(visible));
+    qrBtn.dataset.i18n = visible ? 'share.hideQr' : 'share.showQr';
+    qrBtn.textContent = t(qrBtn.dataset.i18n);
+  };
+  
+  const setOpen = (open) => {
+    if (open) {
+      if (nativeBtn) nativeBtn.hidden = !navigator.share;
+      // Only offer a memory link while the slideshow is on screen
+      if (memoryBtn) memoryBtn.hidden = !state.slideshow || state.slideshow.root.closest('section').hidden;
+    } else {
+      showQr(false);
     }
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', String(open));
+  };
+  
+  toggle.addEventListener('click', () => setOpen(panel.hidden));
+  
+  panel.addEventListener('click', (e) => {
+    const option = e.target.closest('.share-option');
+    if (!option) return;
     
-    audio.play().then(() => {
-      state.isAudioPlaying = true;
-      btn.setAttribute('aria-pressed', 'true');
-      syncAudioToggle();
-    }).catch(error => {
-      console.warn('Audio playback failed:', error);
-      alert('Audio playback is blocked. Please interact with the page first.');
-    });
-  }
-}
-
-function syncAudioToggle() {
-  const btn = document.getElementById('audio-toggle');
-  if (!btn) return;
-  const musicIcon = btn.querySelector('.music-icon');
-  const muteIcon = btn.querySelector('.mute-icon');
-  const isPlaying = state.isAudioPlaying;
-  if (musicIcon) {
-    musicIcon.classList.toggle('hidden', !isPlaying);
-  }
-  if (muteIcon) {
-    muteIcon.classList.toggle('hidden', isPlaying);
-  }
+    switch (option.dataset.share) {
+      case 'native':
+        setOpen(false);
+        handleShare();
+        break;
+      case 'copy':
+        setOpen(false);
+        copyLink(shareUrl());
+        break;
+      case 'memory':
+        setOpen(false);
+        copyLink(shareUrl('memories', state.slideshow.current + 1));
+        break;
+      case 'qr':
+        showQr(qr.hidden);
+        break;
+    }
+  });
+  
+  menu.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.hidden) {
+      setOpen(false);
+      toggle.focus();
+    }
+  });
+  
+  // Close when clicking or tabbing anywhere else
+  document.addEventListener('click', (e) => {
+    if (!panel.hidden && !menu.contains(e.target)) setOpen(false);
+  });
+  menu.addEventListener('focusout', (e) => {
+    if (!panel.hidden && e.relatedTarget && !menu.contains(e.relatedTarget)) setOpen(false);
+  });
 }
 
 /**
- * Handle share button click
+ * Share the page through the native share sheet, falling back to copying the link
  */
 async function handleShare() {
-  const url = window.location.href;
+  const url = shareUrl();
   
   // Try native share API first (mobile)
   if (navigator.share) {
     try {
       await navigator.share({
-        title: 'Happy Birthday Amanda Kyla!',
-        text: 'Check out this special birthday celebration!',
+        title: t('share.title', { name: getRecipientName() }),
+        text: t('share.text'),
         url: url
       });
       return;
     } catch (error) {
-      if (error.name !== 'AbortError') {
-        console.warn('Share failed:', error);
-      }
+      // Closing the share sheet is not a failure
+      if (error.name === 'AbortError') return;
+      console.warn('Share failed:', error);
     }
   }
   
   // Fallback to clipboard
+  await copyLink(url);
+}
+
+/**
+ * Copy a link to the clipboard and say whether it worked
+ * @param {string} url - Link to copy
+ */
+async function copyLink(url) {
   try {
     await navigator.clipboard.writeText(url);
-    showNotification('Link copied to clipboard!');
+    showNotification(t('share.copied'));
   } catch (error) {
     console.error('Failed to copy:', error);
-    showNotification('Failed to copy link');
+    showNotification(t('share.copyFailed'));
   }
 }
 
@@ -248,6 +691,7 @@ async function handleShare() {
  */
 function showNotification(message) {
   const notification = document.createElement('div');
+  notification.setAttribute('role', 'status');
   notification.textContent = message;
   notification.style.cssText = `
     position: fixed;
@@ -325,7 +769,7 @@ function setupScrollAnimations() {
   }, observerOptions);
   
   // Observe sections
-  const sections = document.querySelectorAll('.personal-message-section, .messages-section, .slideshow-section');
+  const sections = document.querySelectorAll('.personal-message-section, .messages-section, .slideshow-section, .game-section');
   sections.forEach(section => {
     section.style.opacity = '0';
     section.style.transform = 'translateY(20px)';
@@ -334,62 +778,6 @@ function setupScrollAnimations() {
   });
 }
 
-function initPersonalMessageReveal() {
-  const card = document.querySelector('.personal-message-card');
-  if (!card) {
-    console.warn('Personal message card not found');
-    return;
-  }
-
-  const lines = card.querySelectorAll('.message-intro, .message-body, .message-signature');
-  if (lines.length === 0) {
-    console.warn('No message lines found');
-    return;
-  }
-
-  lines.forEach((line, index) => {
-    line.style.transitionDelay = `${index * 0.18}s`;
-  });
-
-  // Fallback: trigger on scroll if IntersectionObserver isn't available
-  const checkVisibility = () => {
-    const rect = card.getBoundingClientRect();
-    const isVisible = rect.top < window.innerHeight * 0.8 && rect.bottom > 0;
-    if (isVisible && !card.classList.contains('is-visible')) {
-      card.classList.add('is-visible');
-    }
-  };
-
-  // Try IntersectionObserver first
-  if ('IntersectionObserver' in window) {
-    try {
-      const observer = new IntersectionObserver(entries => {
-        entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            card.classList.add('is-visible');
-            observer.unobserve(entry.target);
-          }
-        });
-      }, {
-        threshold: 0.2,
-        rootMargin: '0px 0px -5% 0px'
-      });
-
-      observer.observe(card);
-    } catch (error) {
-      console.warn('IntersectionObserver failed, using scroll fallback:', error);
-      window.addEventListener('scroll', checkVisibility, { passive: true });
-      window.addEventListener('load', checkVisibility);
-      setTimeout(checkVisibility, 100);
-    }
-  } else {
-    // Fallback for older browsers
-    window.addEventListener('scroll', checkVisibility, { passive: true });
-    window.addEventListener('load', checkVisibility);
-    setTimeout(checkVisibility, 100);
-  }
-}
-
 /**
  * Inject subtle sky ornaments (twinkling stars and drifting clouds)
  */
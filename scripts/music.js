@@ -0,0 +1,439 @@
+/**
+ * Music Player Module
+ * Background music playlist with crossfade, volume and now-playing info
+ * @module music
+ *
+ * Two <audio> decks take turns: the next track starts silently on the idle deck
+ * and the volumes cross over `crossfade` seconds before the current one ends.
+ * Play state and volume are remembered in localStorage; a track that fails to
+ * load shows an inline message and the player skips to the next one.
+ */
+
+import { Emitter } from './emitter.js';
+import { t, onLanguageChange } from './i18n.js';
+
+export const STORAGE_KEY = 'music-player';
+
+// Seconds the outgoing and incoming tracks overlap
+const DEFAULT_CROSSFADE = 3;
+const DEFAULT_VOLUME = 0.6;
+const FADE_STEP = 50;
+
+/**
+ * Playlist player bound to the header controls
+ * Events: "play", "pause", "track" ({ index, track }), "error" ({ index, track }), "destroy"
+ */
+export class MusicPlayer extends Emitter {
+  /**
+   * @param {HTMLElement} root - .music-player container with the controls
+   * @param {Object} options - Player options
+   * @param {Object[]} options.tracks - Playlist ({ src, title, artist })
+   * @param {number} options.crossfade - Overlap between tracks in seconds (default: 3)
+   * @param {number} options.volume - Volume when nothing is remembered (0–1, default: 0.6)
+   * @param {HTMLAudioElement} options.audio - Element to use as the first deck (default: a new one)
+   */
+  constructor(root, options = {}) {
+    super();
+
+    if (!root) {
+      throw new Error('MusicPlayer needs a root element');
+    }
+
+    this.root = root;
+    this.tracks = options.tracks || [];
+    this.crossfade = options.crossfade === undefined ? DEFAULT_CROSSFADE : options.crossfade;
+    this.listeners = new AbortController();
+
+    const saved = loadSettings();
+    this.volume = saved.volume === undefined ? (options.volume ?? DEFAULT_VOLUME) : saved.volume;
+    this.wantsPlay = Boolean(saved.playing);
+    this.playing = false;
+    this.current = 0;
+    this.fade = null;
+    this.failures = 0;
+
+    // The second deck is created here so the page only needs one <audio>
+    const first = options.audio || document.createElement('audio');
+    const second = document.createElement('audio');
+    [first, second].forEach(deck => {
+      deck.loop = false;
+      deck.preload = 'none';
+    });
+    if (first.isConnected) first.after(second);
+    this.createdDeck = second;
+    this.decks = [first, second];
+    this.active = 0;
+
+    this.toggleBtn = root.querySelector('.music-toggle');
+    this.prevBtn = root.querySelector('.music-prev');
+    this.nextBtn = root.querySelector('.music-next');
+    this.titleElement = root.querySelector('.now-playing');
+    this.messageElement = root.querySelector('.music-message');
+    this.volumeInput = root.querySelector('.music-volume');
+
+    this.bindEvents();
+    const offLanguage = onLanguageChange(() => this.render());
+    this.listeners.signal.addEventListener('abort', offLanguage);
+
+    this.root.hidden = this.tracks.length === 0;
+    if (this.tracks.length === 0) return;
+
+    this.load(this.activeDeck, 0);
+    this.applyVolume();
+    this.render();
+
+    // Pick up where the visitor left off; browsers may insist on a gesture first
+    if (this.wantsPlay) this.resume();
+  }
+
+  get activeDeck() {
+    return this.decks[this.active];
+  }
+
+  get idleDeck() {
+    return this.decks[1 - this.active];
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    if (this.toggleBtn) this.toggleBtn.addEventListener('click', () => this.toggle(), { signal });
+    if (this.prevBtn) this.prevBtn.addEventListener('click', () => this.prev(), { signal });
+    if (this.nextBtn) this.nextBtn.addEventListener('click', () => this.next(), { signal });
+
+    if (this.volumeInput) {
+      this.volumeInput.addEventListener('input', () => {
+        this.setVolume(Number(this.volumeInput.value));
+      }, { signal });
+    }
+
+    this.decks.forEach(deck => {
+      deck.addEventListener('timeupdate', () => this.handleTimeUpdate(deck), { signal });
+      deck.addEventListener('ended', () => {
+        if (deck === this.activeDeck && !this.fade) this.next();
+      }, { signal });
+      deck.addEventListener('playing', () => {
+        this.failures = 0;
+      }, { signal });
+      deck.addEventListener('error', () => this.handleError(deck), { signal });
+    });
+  }
+
+  /**
+   * Start playback, or arm it for the first user gesture when autoplay is blocked
+   */
+  async resume() {
+    const started = await this.play();
+    if (started || !this.wantsPlay) return;
+
+    const { signal } = this.listeners;
+    const onGesture = () => {
+      document.removeEventListener('pointerdown', onGesture);
+      document.removeEventListener('keydown', onGesture);
+      if (this.wantsPlay && !this.playing) this.play();
+    };
+    document.addEventListener('pointerdown', onGesture, { signal });
+    document.addEventListener('keydown', onGesture, { signal });
+  }
+
+  /**
+   * @returns {Promise<boolean>} True when playback started
+   */
+  async play() {
+    if (this.tracks.length === 0) return false;
+    this.wantsPlay = true;
+    this.saveSettings();
+
+    try {
+      await this.activeDeck.play();
+    } catch (error) {
+      if (error && error.name === 'NotAllowedError') {
+        this.showMessage(t('music.tapToStart'));
+      } else {
+        console.warn('Audio playback failed:', error);
+      }
+      return false;
+    }
+
+    this.playing = true;
+    this.showMessage('');
+    this.render();
+    this.emit('play');
+    return true;
+  }
+
+  pause() {
+    this.wantsPlay = false;
+    this.playing = false;
+    this.stopFade(true);
+    this.activeDeck.pause();
+    this.saveSettings();
+    this.render();
+    this.emit('pause');
+  }
+
+  toggle() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  next() {
+    this.goTo(this.current + 1);
+  }
+
+  prev() {
+    // Like most players: restart the track unless it only just began
+    if (this.activeDeck.currentTime > 3) {
+      this.activeDeck.currentTime = 0;
+      return;
+    }
+    this.goTo(this.current - 1);
+  }
+
+  /**
+   * Switch tracks, crossfading when music is playing
+   * @param {number} index - Track index (wraps around the playlist)
+   */
+  goTo(index) {
+    const count = this.tracks.length;
+    if (count === 0) return;
+    const target = (index % count + count) % count;
+
+    if (!this.playing) {
+      this.stopFade(true);
+      this.load(this.activeDeck, target);
+      this.render();
+      return;
+    }
+
+    this.crossfadeTo(target);
+  }
+
+  /**
+   * Start the next track on the idle deck and cross the volumes over
+   * @param {number} index - Track index
+   */
+  crossfadeTo(index) {
+    this.stopFade(true);
+
+    const outgoing = this.activeDeck;
+    const incoming = this.idleDeck;
+    this.load(incoming, index);
+    incoming.volume = 0;
+    this.active = 1 - this.active;
+    this.render();
+
+    const attempt = incoming.play();
+    if (attempt) attempt.catch(error => console.warn('Audio playback failed:', error));
+
+    const duration = Math.max(this.crossfade, 0) * 1000;
+    const startedAt = performance.now();
+    const step = () => {
+      const progress = duration === 0 ? 1 : Math.min(1, (performance.now() - startedAt) / duration);
+      incoming.volume = this.volume * progress;
+      outgoing.volume = this.volume * (1 - progress);
+      if (progress === 1) this.stopFade(true);
+    };
+
+    this.fade = { outgoing, timer: setInterval(step, FADE_STEP) };
+    step();
+  }
+
+  /**
+   * End a crossfade in progress
+   * @param {boolean} finish - Silence the outgoing deck and give the incoming one full volume
+   */
+  stopFade(finish) {
+    if (!this.fade) return;
+    clearInterval(this.fade.timer);
+    if (finish) {
+      this.fade.outgoing.pause();
+      this.fade.outgoing.volume = this.volume;
+      this.activeDeck.volume = this.volume;
+    }
+    this.fade = null;
+  }
+
+  /**
+   * Begin the crossfade when the active track is about to end
+   * @param {HTMLAudioElement} deck - Deck reporting progress
+   */
+  handleTimeUpdate(deck) {
+    if (deck !== this.activeDeck || this.fade || !this.playing) return;
+    const remaining = deck.duration - deck.currentTime;
+    if (Number.isFinite(remaining) && remaining <= this.crossfade) {
+      this.next();
+    }
+  }
+
+  /**
+   * Report a track that can't be loaded and move on to the next one
+   * @param {HTMLAudioElement} deck - Deck that failed
+   */
+  handleError(deck) {
+    if (deck !== this.activeDeck) return;
+    const track = this.tracks[this.current];
+    this.failures++;
+    console.warn(`Could not load music track ${track.src}`);
+    this.emit('error', { index: this.current, track });
+
+    if (this.failures >= this.tracks.length) {
+      this.playing = false;
+      this.stopFade(true);
+      this.showMessage(t('music.loadError'));
+      this.render();
+      return;
+    }
+
+    this.showMessage(t('music.skipping', { title: track.title }));
+    const wasPlaying = this.playing || this.wantsPlay;
+    this.stopFade(true);
+    this.load(this.activeDeck, this.current + 1);
+    this.render();
+    if (wasPlaying) this.play();
+  }
+
+  /**
+   * @param {HTMLAudioElement} deck - Deck to load into
+   * @param {number} index - Track index (wraps around the playlist)
+   */
+  load(deck, index) {
+    const count = this.tracks.length;
+    this.current = (index % count + count) % count;
+    deck.src = this.tracks[this.current].src;
+    deck.volume = this.volume;
+    this.emit('track', { index: this.current, track: this.tracks[this.current] });
+  }
+
+  /**
+   * @param {number} volume - 0–1
+   */
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, volume));
+    this.applyVolume();
+    this.saveSettings();
+  }
+
+  applyVolume() {
+    if (!this.fade) this.activeDeck.volume = this.volume;
+    if (this.volumeInput) {
+      this.volumeInput.value = String(this.volume);
+      this.volumeInput.setAttribute('aria-valuetext', `${Math.round(this.volume * 100)}%`);
+    }
+  }
+
+  /**
+   * Update the toggle, track title and controls
+   */
+  render() {
+    const track = this.tracks[this.current];
+
+    if (this.titleElement && track) {
+      this.titleElement.textContent = track.artist ? `${track.title} · ${track.artist}` : track.title;
+    }
+
+    if (this.toggleBtn) {
+      this.toggleBtn.setAttribute('aria-pressed', String(this.playing));
+      this.toggleBtn.setAttribute('aria-label', t(this.playing ? 'music.pause' : 'music.play'));
+      const musicIcon = this.toggleBtn.querySelector('.music-icon');
+      const muteIcon = this.toggleBtn.querySelector('.mute-icon');
+      if (musicIcon) musicIcon.classList.toggle('hidden', !this.playing);
+      if (muteIcon) muteIcon.classList.toggle('hidden', this.playing);
+    }
+
+    const single = this.tracks.length < 2;
+    if (this.prevBtn) this.prevBtn.hidden = single;
+    if (this.nextBtn) this.nextBtn.hidden = single;
+    this.root.classList.toggle('is-playing', this.playing);
+  }
+
+  /**
+   * @param {string} text - Inline status message ('' clears it)
+   */
+  showMessage(text) {
+    if (this.messageElement) {
+      this.messageElement.textContent = text;
+      this.messageElement.hidden = text === '';
+    }
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ playing: this.wantsPlay, volume: this.volume }));
+    } catch (error) {
+      console.warn('Could not save music settings:', error);
+    }
+  }
+
+  /**
+   * Stop playback and remove listeners; the remembered settings are kept
+   */
+  destroy() {
+    this.stopFade(false);
+    this.decks.forEach(deck => {
+      deck.pause();
+      deck.removeAttribute('src');
+    });
+    this.createdDeck.remove();
+    this.listeners.abort();
+    this.showMessage('');
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * @returns {Object} Remembered { playing, volume }, or {} when nothing valid is stored
+ */
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return {};
+    return {
+      playing: saved.playing === true,
+      volume: Number.isFinite(saved.volume) ? Math.min(1, Math.max(0, saved.volume)) : undefined
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+// Header player managed by initMusic()
+let instance = null;
+
+/**
+ * Initialize the header music player
+ * Safe to call again on route changes; the previous player is destroyed.
+ * @param {Object|undefined} music - Music section of the celebration config ({ tracks, crossfade, volume })
+ * @returns {MusicPlayer|null} The player, or null when the page has no player
+ */
+export function initMusic(music) {
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  const root = document.querySelector('.music-player');
+  if (!root) {
+    console.warn('Music player elements not found');
+    return null;
+  }
+
+  instance = new MusicPlayer(root, {
+    tracks: music ? music.tracks : [],
+    crossfade: music ? music.crossfade : undefined,
+    volume: music ? music.volume : undefined,
+    audio: document.getElementById('background-music')
+  });
+  return instance;
+}
+
+/**
+ * @returns {MusicPlayer|null} The header player, if initialised
+ */
+export function getMusicPlayer() {
+  return instance;
+}
@@ -0,0 +1,491 @@
+/**
+ * QR Code Module
+ * Encodes text as a QR code entirely in the browser, so sharing works offline
+ * @module qrcode
+ *
+ * Usage:
+ *   container.innerHTML = createQrSvg('https://example.com/#/kyla');
+ *
+ * Text is stored in byte mode (UTF-8) at error correction level M, which
+ * survives roughly 15% damage; the smallest version (1–40) that fits is used.
+ */
+
+// Error correction codewords per block and number of blocks for level M, by version
+const ECC_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+
+// Format-information bits for level M
+const ECC_FORMAT_BITS = 0;
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Light modules around the code, as required by the spec
+const QUIET_ZONE = 4;
+
+// Mask condition for each mask id, given the module's column and row
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode, typically a URL
+ * @returns {{size: number, modules: boolean[][]}} Module grid indexed [row][column]; true is dark
+ * @throws {Error} When the text is too long for a QR code
+ */
+export function encodeQr(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  let version = MIN_VERSION;
+  while (version <= MAX_VERSION && dataBitsNeeded(bytes.length, version) > dataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error(`Text is too long for a QR code (${bytes.length} bytes)`);
+  }
+
+  const code = new QrGrid(version);
+  code.drawFunctionPatterns();
+  code.drawCodewords(addErrorCorrection(encodeData(bytes, version), version));
+  code.applyBestMask();
+
+  return { size: code.size, modules: code.modules };
+}
+
+/**
+ * Render text as a QR code SVG
+ * Dark on white whatever the page theme, so every scanner can read it.
+ * @param {string} text - Text to encode
+ * @returns {string} SVG markup
+ */
+export function createQrSvg(text) {
+  const { size, modules } = encodeQr(text);
+  const extent = size + QUIET_ZONE * 2;
+
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`;
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges">`
+    + `<rect width="${extent}" height="${extent}" fill="#fff"/>`
+    + `<path d="${path}" fill="#000"/>`
+    + '</svg>';
+}
+
+/**
+ * Module grid of one QR symbol while it is being drawn
+ */
+class QrGrid {
+  /**
+   * @param {number} version - QR version (1–40)
+   */
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    // Finder, timing, alignment and format modules are never masked or overwritten
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((x, i) => {
+      positions.forEach((y, j) => {
+        // The three corners hold finder patterns instead
+        const corner = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!corner) this.drawAlignment(x, y);
+      });
+    });
+
+    // Reserve the format areas now; the real bits depend on the mask
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinder(centerX, centerY) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = centerX + dx;
+        const y = centerY + dy;
+        if (x < 0 || x >= this.size || y < 0 || y >= this.size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        this.set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  drawAlignment(centerX, centerY) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.set(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  /**
+   * @param {number} mask - Mask id (0–7)
+   */
+  drawFormatBits(mask) {
+    const data = (ECC_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const { size } = this;
+
+    // Copy around the top-left finder
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(bits, i));
+    this.set(8, 7, bit(bits, 6));
+    this.set(8, 8, bit(bits, 7));
+    this.set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(bits, i));
+
+    // Copy split between the other two finders
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(bits, i));
+    this.set(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.set(a, b, bit(bits, i));
+      this.set(b, a, bit(bits, i));
+    }
+  }
+
+  /**
+   * Place codewords in the two-column zigzag from the bottom-right corner
+   * @param {number[]} codewords - Interleaved data and error correction bytes
+   */
+  drawCodewords(codewords) {
+    const { size } = this;
+    let index = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      // The vertical timing pattern takes a whole column
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let step = 0; step < size; step++) {
+        const y = upward ? size - 1 - step : step;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (this.reserved[y][x] || index >= codewords.length * 8) continue;
+          this.modules[y][x] = bit(codewords[index >>> 3], 7 - (index & 7));
+          index++;
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {number} mask - Mask id (0–7); applying it twice undoes it
+   */
+  applyMask(mask) {
+    const condition = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && condition(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  applyBestMask() {
+    let best = 0;
+    let bestPenalty = Infinity;
+
+    MASKS.forEach((condition, mask) => {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+      const penalty = this.penalty();
+      if (penalty < bestPenalty) {
+        best = mask;
+        bestPenalty = penalty;
+      }
+      this.applyMask(mask);
+    });
+
+    this.applyMask(best);
+    this.drawFormatBits(best);
+  }
+
+  /**
+   * Score how hard the symbol is to scan (the spec's four penalty rules)
+   * @returns {number} Penalty; lower is better
+   */
+  penalty() {
+    const { size, modules } = this;
+    const columns = modules.map((row, y) => row.map((dark, x) => modules[x][y]));
+    let penalty = 0;
+
+    [...modules, ...columns].forEach(line => {
+      // Runs of five or more modules of one colour
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+
+      // Finder-like 1:1:3:1:1 patterns with four light modules beside them
+      penalty += 40 * countFinderLike(line.map(dark => (dark ? '1' : '0')).join(''));
+    });
+
+    // 2×2 blocks of one colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const dark = modules[y][x];
+        if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+
+    // Balance of dark and light modules
+    const total = size * size;
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += 10 * (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+
+    return penalty;
+  }
+}
+
+/**
+ * @param {string} line - Row or column as a string of 0s and 1s
+ * @returns {number} Finder-like patterns in the line, counting the light border outside the symbol
+ */
+function countFinderLike(line) {
+  const padded = `0000${line}0000`;
+  let count = 0;
+  for (let i = 0; i + 11 <= padded.length; i++) {
+    const window = padded.slice(i, i + 11);
+    if (window === '00001011101' || window === '10111010000') count++;
+  }
+  return count;
+}
+
+/**
+ * @param {number} version - QR version
+ * @returns {number[]} Row/column centres of the alignment patterns
+ */
+function alignmentPositions(version) {
+  if (version === 1) return [];
+
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+}
+
+/**
+ * @param {number} version - QR version
+ * @returns {number} Modules left for data and error correction
+ */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    result -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * @param {number} version - QR version
+ * @returns {number} Data codewords available at level M
+ */
+function dataCodewords(version) {
+  return Math.floor(rawDataModules(version) / 8) - ECC_PER_BLOCK[version] * ECC_BLOCKS[version];
+}
+
+/**
+ * @param {number} length - Byte count
+ * @param {number} version - QR version
+ * @returns {number} Bits needed for the mode indicator, length and data
+ */
+function dataBitsNeeded(length, version) {
+  return 4 + countBits(version) + length * 8;
+}
+
+/**
+ * @param {number} version - QR version
+ * @returns {number} Width of the byte-mode length field
+ */
+function countBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+/**
+ * Build the padded data codewords
+ * @param {number[]} bytes - UTF-8 bytes
+ * @param {number} version - QR version
+ * @returns {number[]} Data codewords
+ */
+function encodeData(bytes, version) {
+  const capacity = dataCodewords(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, countBits(version));
+  bytes.forEach(byte => push(byte, 8));
+
+  // Terminator, then fill to a whole byte
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, value) => (byte << 1) | value, 0));
+  }
+  for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+    codewords.push(pad);
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add Reed–Solomon codewords and interleave
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {number[]} Final codeword sequence
+ */
+function addErrorCorrection(data, version) {
+  const blockCount = ECC_BLOCKS[version];
+  const eccLength = ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortLength = Math.floor(rawCodewords / blockCount) - eccLength;
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < blockCount; i++) {
+    const length = shortLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ecc: reedSolomonRemainder(block, divisor) });
+  }
+
+  const result = [];
+  for (let i = 0; i <= shortLength; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach(block => result.push(block.ecc[i]));
+  }
+  return result;
+}
+
+/**
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]} Generator polynomial coefficients, highest power first (leading 1 omitted)
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * @param {number[]} data - Block data codewords
+ * @param {number[]} divisor - Generator polynomial from reedSolomonDivisor
+ * @returns {number[]} Error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number} Product
+ */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function bit(value, index) {
+  return ((value >>> index) & 1) !== 0;
+}
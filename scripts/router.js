@@ -0,0 +1,111 @@
+/**
+ * Router Module
+ * Maps the URL hash (#/kyla) or query string (?to=kyla) to a recipient slug
+ * so one deployment can serve a birthday page per person
+ * @module router
+ *
+ * Deep links name a section, and optionally an item in it, after the slug:
+ * #/kyla/memories/3, or #memories/3 when the recipient comes from ?to= or
+ * is the default one.
+ */
+
+/**
+ * Read the recipient slug from the current URL
+ * Hash routes win over the query string so in-page links can switch people.
+ * @returns {string|null} Lowercased slug, or null when the URL names nobody
+ */
+export function getCurrentSlug() {
+  const hashMatch = window.location.hash.match(/^#\/([^/?#]+)/);
+  if (hashMatch) {
+    return normalizeSlug(hashMatch[1]);
+  }
+
+  const params = new URLSearchParams(window.location.search);
+  const to = params.get('to');
+  return to ? normalizeSlug(to) : null;
+}
+
+/**
+ * Whether the author asked to skip the countdown (?preview, also accepted after the hash route)
+ * @returns {boolean} True in preview mode
+ */
+export function isPreview() {
+  if (new URLSearchParams(window.location.search).has('preview')) return true;
+  const hashQuery = window.location.hash.split('?')[1];
+  return hashQuery !== undefined && new URLSearchParams(hashQuery).has('preview');
+}
+
+/**
+ * Build an in-page link to a recipient's page
+ * @param {string} slug - Recipient slug
+ * @returns {string} Hash href such as "#/kyla"
+ */
+export function hrefFor(slug) {
+  return `#/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Read the section deep link from the current URL
+ * @returns {{section: string, item: number|null}|null} Section name and 1-based item, or null
+ */
+export function getDeepLink() {
+  const hash = window.location.hash.split('?')[0];
+  const match = hash.match(/^#(?:\/[^/]+\/)?([a-z][\w-]*)(?:\/(\d+))?\/?$/i);
+  if (!match) return null;
+  return {
+    section: match[1].toLowerCase(),
+    item: match[2] ? Number(match[2]) : null
+  };
+}
+
+/**
+ * Whether the hash is a route rather than a plain in-page anchor (e.g. #main-content)
+ * @param {string[]} sections - Section names a deep link may use
+ * @returns {boolean} True for no hash, a recipient route (#/kyla…) or a deep link to one of `sections`
+ */
+export function isRouteHash(sections) {
+  const hash = window.location.hash.split('?')[0];
+  if (hash === '' || hash === '#' || hash.startsWith('#/')) return true;
+  const link = getDeepLink();
+  return Boolean(link) && sections.includes(link.section);
+}
+
+/**
+ * Build an absolute link to this page, optionally deep-linking a section
+ * Preview mode is dropped so shared links never skip the countdown.
+ * @param {string} section - Section name (omit for the page itself)
+ * @param {number} item - 1-based item within the section, e.g. a slide
+ * @returns {string} URL such as "https://…/#/kyla/memories/3"
+ */
+export function shareUrl(section = null, item = null) {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('preview');
+
+  const slugMatch = url.hash.match(/^#\/([^/?#]+)/);
+  const route = slugMatch ? `/${slugMatch[1]}` : '';
+  if (section) {
+    url.hash = `${route}${route ? '/' : ''}${section}${item ? `/${item}` : ''}`;
+  } else {
+    url.hash = route;
+  }
+  return url.href;
+}
+
+/**
+ * Call back whenever the route changes without a page reload
+ * @param {Function} callback - Invoked with the new slug
+ * @returns {Function} Unsubscribe function
+ */
+export function onRouteChange(callback) {
+  const handler = () => callback(getCurrentSlug());
+  window.addEventListener('hashchange', handler);
+  return () => window.removeEventListener('hashchange', handler);
+}
+
+function normalizeSlug(raw) {
+  try {
+    return decodeURIComponent(raw).trim().toLowerCase();
+  } catch (error) {
+    return raw.trim().toLowerCase();
+  }
+}
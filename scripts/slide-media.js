@@ -0,0 +1,177 @@
+/**
+ * Slide Media Module
+ * Builds the media element for each slide type, shared by the slideshow and the lightbox
+ * @module slide-media
+ *
+ * Slide types (see SLIDE_TYPES in config.js):
+ * - "image" (default): `image`, optional `full` resolution file, `srcset`/`sizes`
+ *   for responsive resolutions and a tiny `placeholder` shown blurred while loading
+ * - "video": `src`, optional `poster` and `tracks`; plays muted inline
+ * - "audio": `src`, optional `poster` shown behind the player, and `tracks`
+ * - "card": `text` (blank lines start new paragraphs) with an optional `title`; plain text only
+ *
+ * Tracks: [{ src, srclang, label, kind: "subtitles" | "captions", default }]
+ */
+
+import { t } from './i18n.js';
+
+// Slideshow frame is at most 900px wide (.slideshow-container)
+const DEFAULT_SIZES = '(max-width: 900px) 100vw, 900px';
+
+/**
+ * @param {Object} slide - Slide from the config
+ * @returns {string} Slide type, "image" when not given
+ */
+export function getSlideType(slide) {
+  return slide.type || 'image';
+}
+
+/**
+ * @param {Object} slide - Slide from the config
+ * @returns {string} Accessible description of the slide
+ */
+export function describeSlide(slide) {
+  if (slide.caption) return slide.caption;
+  const type = getSlideType(slide);
+  const kind = type === 'video' || type === 'audio' ? type : 'image';
+  return slide.year ? t(`media.${kind}From`, { year: slide.year }) : t(`media.${kind}`);
+}
+
+/**
+ * @param {Object} slide - Slide from the config
+ * @returns {string|null} URL of the original file, or null for cards
+ */
+export function getSlideSource(slide) {
+  switch (getSlideType(slide)) {
+    case 'image':
+      return slide.full || slide.image;
+    case 'card':
+      return null;
+    default:
+      return slide.src;
+  }
+}
+
+/**
+ * Create the media element for a slide
+ * @param {Object} slide - Slide from the config
+ * @param {Object} options - Rendering options
+ * @param {string} options.className - Class prefix ("slide" or "lightbox")
+ * @param {boolean} options.lazy - Leave image sources in data attributes until loadImage() is called
+ * @returns {HTMLElement} Image, video, audio player or card
+ */
+export function createSlideMedia(slide, { className = 'slide', lazy = false } = {}) {
+  switch (getSlideType(slide)) {
+    case 'video':
+      return createVideo(slide, className);
+    case 'audio':
+      return createAudio(slide, className);
+    case 'card':
+      return createCard(slide, className);
+    default: {
+      const img = document.createElement('img');
+      img.className = `${className}-image`;
+      img.alt = describeSlide(slide);
+      img.decoding = 'async';
+      img.dataset.src = slide.image;
+      if (slide.srcset) {
+        img.dataset.srcset = slide.srcset;
+        img.sizes = slide.sizes || DEFAULT_SIZES;
+      }
+      if (!lazy) loadImage(img);
+      return img;
+    }
+  }
+}
+
+/**
+ * Start downloading a lazily created image; calling it again retries a failed load
+ * @param {HTMLImageElement} img - Image from createSlideMedia()
+ */
+export function loadImage(img) {
+  const { src, srcset } = img.dataset;
+  if (!src) return;
+
+  // Dropping the old source first makes the browser request it again on retry
+  img.removeAttribute('srcset');
+  img.removeAttribute('src');
+  if (srcset) img.srcset = srcset;
+  img.src = src;
+}
+
+function createVideo(slide, className) {
+  const video = document.createElement('video');
+  video.className = `${className}-media ${className}-video`;
+  video.src = slide.src;
+  if (slide.poster) video.poster = slide.poster;
+  video.controls = true;
+  video.playsInline = true;
+  video.preload = 'metadata';
+  // Muted so browsers allow it to start on its own
+  video.muted = true;
+  video.setAttribute('muted', '');
+  video.setAttribute('aria-label', describeSlide(slide));
+  appendTracks(video, slide.tracks);
+  return video;
+}
+
+function createAudio(slide, className) {
+  const wrapper = document.createElement('div');
+  wrapper.className = `${className}-audio`;
+
+  if (slide.poster) {
+    const poster = document.createElement('img');
+    poster.className = `${className}-poster`;
+    poster.src = slide.poster;
+    poster.alt = '';
+    wrapper.appendChild(poster);
+  }
+
+  const audio = document.createElement('audio');
+  audio.className = `${className}-media`;
+  audio.src = slide.src;
+  audio.controls = true;
+  audio.preload = 'none';
+  audio.setAttribute('aria-label', describeSlide(slide));
+  appendTracks(audio, slide.tracks);
+
+  wrapper.appendChild(audio);
+  return wrapper;
+}
+
+function createCard(slide, className) {
+  const card = document.createElement('div');
+  card.className = `${className}-card`;
+
+  if (slide.title) {
+    const title = document.createElement('h3');
+    title.className = `${className}-card-title`;
+    title.textContent = slide.title;
+    card.appendChild(title);
+  }
+
+  slide.text.split(/\n\s*\n/).forEach(paragraph => {
+    const p = document.createElement('p');
+    p.className = `${className}-card-text`;
+    p.textContent = paragraph.trim();
+    card.appendChild(p);
+  });
+
+  return card;
+}
+
+/**
+ * @param {HTMLMediaElement} media - Video or audio element
+ * @param {Object[]} tracks - Caption/subtitle tracks from the config
+ */
+function appendTracks(media, tracks = []) {
+  tracks.forEach(track => {
+    const el = document.createElement('track');
+    el.kind = track.kind || 'subtitles';
+    el.src = track.src;
+    el.srclang = track.srclang;
+    el.label = track.label || track.srclang;
+    if (track.default) el.default = true;
+    media.appendChild(el);
+  });
+}
@@ -2,165 +2,1014 @@
  * Slideshow Module
  * Injects and controls a simple, accessible slideshow
  * @module slideshow
+ *
+ * Usage:
+ *   const memories = new Slideshow(rootEl, { slides, label: '2025 memories' });
+ *   memories.on('change', ({ index }) => ...);
+ *   memories.next();
+ *   memories.destroy();
+ *
+ * The root may already contain the markup from index.html (.slideshow,
+ * .slide-indicators, .slide-prev, .slide-next); anything missing is created.
+ *
+ * Autoplay pauses while the carousel is hovered, focused or the tab is hidden,
+ * and can be stopped with the play/pause button (WCAG 2.2.2). Without loop
+ * mode it stops on the last slide; pressing play there starts over.
+ *
+ * Pointer gestures: swipe (the slides follow the finger and snap on release,
+ * a fast flick is enough), double-tap to zoom, pinch to zoom and drag to pan
+ * a zoomed image. Vertical drags are left to the page so it still scrolls.
+ * A single tap/click or Enter emits "activate", which the page slideshow uses
+ * to open the lightbox.
+ *
+ * Video slides play muted while active and pause when they leave; autoplay
+ * waits for a playing clip (video or audio) to end before moving on.
+ *
+ * Images load lazily: only the active slide and its neighbours are fetched,
+ * with the slide's blurred `placeholder` shown until the image arrives.
  */
 
-const SLIDES = [
-  {
-    image: 'assets/images/1.png',
-    year: 'anjay',
-    caption: 'mff paparazzi'
-  },
-  {
-    image: 'assets/images/2.png',
-    year: 'canon event',
-    caption: 'im actually from UK btw'
-  },
-  {
-    image: 'assets/images/3.png',
-    year: 'new record',
-    caption: 'rare moment dawg make it past 1 AM'
-  },
-  {
-    image: 'assets/images/4.jpg',
-    year: 'lol',
-    caption: 'another canon event, iykyk lmao'
-  },
-  {
-    image: 'assets/images/5.jpg',
-    year: '',
-    caption: 'Thanks for always accepting and stay connected with me as a whole kyl, you add pretty much color to my life.'
-  }
-];
-
-let current = 0;
-let slideshowEl, indicatorsEl, prevBtn, nextBtn;
-
-export function initSlideshow() {
-  slideshowEl = document.getElementById('slideshow');
-  indicatorsEl = document.getElementById('slide-indicators');
-  prevBtn = document.getElementById('prev-slide');
-  nextBtn = document.getElementById('next-slide');
-  
-  if (!slideshowEl || !indicatorsEl || !prevBtn || !nextBtn) {
-    console.warn('Slideshow elements not found');
-    return;
-  }
-  
-  // Render slides and indicators
-  renderSlides();
-  renderIndicators();
-  updateUI();
-  
-  // Ensure first slide is visible immediately
-  const firstSlide = slideshowEl.querySelector('.slide');
-  if (firstSlide) {
-    firstSlide.classList.add('active');
-  }
-  
-  // Controls
-  prevBtn.addEventListener('click', () => goTo(current - 1));
-  nextBtn.addEventListener('click', () => goTo(current + 1));
-  
-  // Keyboard navigation
-  slideshowEl.addEventListener('keydown', (e) => {
-    if (e.key === 'ArrowLeft') goTo(current - 1);
-    if (e.key === 'ArrowRight') goTo(current + 1);
-  });
-  
-  // Auto-advance (pause if reduced motion)
-  if (!window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-    setInterval(() => {
-      goTo(current + 1);
-    }, 6000);
+import { Emitter } from './emitter.js';
+import { Lightbox } from './lightbox.js';
+import { createSlideMedia, describeSlide, getSlideType, loadImage } from './slide-media.js';
+import { t, onLanguageChange } from './i18n.js';
+import { getDeepLink } from './router.js';
+
+// Default time between automatic slide changes (ms)
+const AUTOPLAY_INTERVAL = 6000;
+
+// Gestures
+const DRAG_START = 8;             // px a pointer moves before it counts as a drag
+const SWIPE_THRESHOLD = 0.2;      // share of the width that commits a swipe
+const SWIPE_VELOCITY = 0.4;       // px/ms that commits a short, fast flick
+const EDGE_RESISTANCE = 3;        // drag divisor past the first/last slide
+const SETTLE_DURATION = 300;      // ms, matches .slideshow.is-settling in main.css
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+const DOUBLE_TAP_ZOOM = 2;
+const MAX_ZOOM = 4;
+
+const PREV_ICON = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><polyline points="15 18 9 12 15 6"/></svg>';
+const NEXT_ICON = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><polyline points="9 18 15 12 9 6"/></svg>';
+const PLAY_ICON = '<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><polygon points="7 4 20 12 7 20"/></svg>';
+const PAUSE_ICON = '<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>';
+
+/**
+ * Accessible carousel bound to a root element
+ * Events: "change" ({ index, previous, slide }), "activate" ({ index, slide }),
+ * "play", "pause", "destroy"
+ */
+export class Slideshow extends Emitter {
+  /**
+   * @param {HTMLElement} root - Container for the slideshow
+   * @param {Object} options - Slideshow options
+   * @param {Object[]} options.slides - Slides ({ image, year, caption })
+   * @param {string} options.label - Accessible name for the carousel (default: a translated "Memory slideshow")
+   * @param {boolean} options.autoplay - Advance automatically (default: true, starts paused under reduced motion)
+   * @param {number} options.interval - Autoplay interval in ms (default: 6000)
+   * @param {boolean} options.loop - Wrap from the last slide to the first and back (default: false)
+   * @param {number} options.start - Index of the first slide shown (default: 0)
+   */
+  constructor(root, options = {}) {
+    super();
+
+    if (!root) {
+      throw new Error('Slideshow needs a root element');
+    }
+
+    this.root = root;
+    this.slides = options.slides || [];
+    this.options = {
+      label: null,
+      autoplay: true,
+      interval: AUTOPLAY_INTERVAL,
+      loop: false,
+      start: 0,
+      ...options
+    };
+    this.current = Math.max(0, Math.min(Math.floor(this.options.start) || 0, this.slides.length - 1));
+    this.listeners = new AbortController();
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    // Autoplay state: `playing` is the user's choice, `holds` are temporary
+    // pauses (hover, focus, hidden tab, a clip playing) that resume on their own
+    this.playing = Boolean(this.options.autoplay) && !this.reducedMotion;
+    this.holds = new Set();
+    this.autoplayTimer = null;
+    this.timerStartedAt = 0;
+    this.timeRemaining = this.options.interval;
+
+    // Gesture state
+    this.pointers = new Map();
+    this.gesture = null;
+    this.lastTap = null;
+    this.tapTimer = null;
+    this.settleTimer = null;
+    this.zoom = { scale: 1, x: 0, y: 0 };
+
+    this.ensureMarkup();
+
+    // Render slides and indicators
+    this.renderSlides();
+    this.renderIndicators();
+    this.updateUI();
+
+    this.bindEvents();
+    this.syncAutoplay();
+
+    const offLanguage = onLanguageChange(() => this.applyLanguage());
+    this.listeners.signal.addEventListener('abort', offLanguage);
   }
-}
 
-function renderSlides() {
-  slideshowEl.innerHTML = '';
-  slideshowEl.setAttribute('tabindex', '0');
-  
-  SLIDES.forEach((slide, index) => {
-    const slideEl = document.createElement('div');
-    slideEl.className = 'slide';
-    slideEl.setAttribute('role', 'group');
-    slideEl.setAttribute('aria-roledescription', 'slide');
-    slideEl.setAttribute('aria-label', `${index + 1} of ${SLIDES.length}`);
-    
-    if (slide.image) {
-      const img = document.createElement('img');
-      img.className = 'slide-image';
-      img.src = slide.image;
-      img.alt = slide.caption ? slide.caption : `Memory from ${slide.year}`;
-      slideEl.appendChild(img);
-    }
-
-    const layer = document.createElement('div');
-    layer.className = 'slide-overlay';
-
-    const content = document.createElement('div');
-    content.className = 'slide-content';
-
-    const year = document.createElement('div');
-    year.className = 'slide-year';
-    year.textContent = slide.year;
-
-    const caption = document.createElement('div');
-    caption.className = 'slide-caption';
-    caption.textContent = slide.caption;
-
-    content.appendChild(year);
-    content.appendChild(caption);
-    layer.appendChild(content);
-    slideEl.appendChild(layer);
-    slideshowEl.appendChild(slideEl);
-  });
-}
+  /**
+   * Find the slideshow elements inside the root, creating any that are missing
+   */
+  ensureMarkup() {
+    this.slideshowEl = this.root.querySelector('.slideshow');
+    if (!this.slideshowEl) {
+      this.slideshowEl = document.createElement('div');
+      this.slideshowEl.className = 'slideshow';
+      this.slideshowEl.setAttribute('role', 'region');
+      this.slideshowEl.setAttribute('aria-roledescription', 'carousel');
+      this.root.appendChild(this.slideshowEl);
+    }
+    this.slideshowEl.setAttribute('aria-label', this.options.label || t('slideshow.label'));
 
-function renderIndicators() {
-  indicatorsEl.innerHTML = '';
-  
-  SLIDES.forEach((_, index) => {
-    const btn = document.createElement('button');
-    btn.className = 'slide-indicator';
-    btn.setAttribute('role', 'tab');
-    btn.setAttribute('aria-label', `Go to slide ${index + 1}`);
-    btn.addEventListener('click', () => goTo(index));
-    indicatorsEl.appendChild(btn);
-  });
-}
+    let controls = this.root.querySelector('.slideshow-controls');
+    if (!controls) {
+      controls = document.createElement('div');
+      controls.className = 'slideshow-controls';
+      this.root.appendChild(controls);
+    }
+
+    this.prevBtn = controls.querySelector('.slide-prev');
+    if (!this.prevBtn) {
+      this.prevBtn = createControl('slide-prev', PREV_ICON);
+      controls.prepend(this.prevBtn);
+    }
+    this.prevBtn.setAttribute('aria-label', t('slideshow.previous'));
 
-function updateUI() {
-  const slides = slideshowEl.querySelectorAll('.slide');
-  const indicators = indicatorsEl.querySelectorAll('.slide-indicator');
-  
-  slides.forEach((el, index) => {
-    if (index === current) {
-      el.classList.add('active');
+    this.indicatorsEl = controls.querySelector('.slide-indicators');
+    if (!this.indicatorsEl) {
+      this.indicatorsEl = document.createElement('div');
+      this.indicatorsEl.className = 'slide-indicators';
+      this.indicatorsEl.setAttribute('role', 'tablist');
+      this.prevBtn.after(this.indicatorsEl);
+    }
+    this.indicatorsEl.setAttribute('aria-label', t('slideshow.indicators'));
+
+    this.nextBtn = controls.querySelector('.slide-next');
+    if (!this.nextBtn) {
+      this.nextBtn = createControl('slide-next', NEXT_ICON);
+      controls.appendChild(this.nextBtn);
+    }
+    this.nextBtn.setAttribute('aria-label', t('slideshow.next'));
+
+    this.playBtn = controls.querySelector('.slide-play');
+    if (!this.playBtn) {
+      this.playBtn = createControl('slide-play', PAUSE_ICON);
+      controls.appendChild(this.playBtn);
+    }
+    this.playBtn.hidden = !this.options.autoplay || this.slides.length < 2;
+
+    this.progressEl = this.root.querySelector('.slide-progress');
+    if (!this.progressEl) {
+      this.progressEl = document.createElement('div');
+      this.progressEl.className = 'slide-progress';
+      this.progressEl.setAttribute('aria-hidden', 'true');
+      this.progressEl.innerHTML = '<div class="slide-progress-bar"></div>';
+      this.slideshowEl.after(this.progressEl);
+    }
+    this.progressBar = this.progressEl.querySelector('.slide-progress-bar');
+    this.progressEl.hidden = this.playBtn.hidden;
+  }
+
+  bindEvents() {
+    const { signal } = this.listeners;
+
+    // Controls
+    this.prevBtn.addEventListener('click', () => this.prev(), { signal });
+    this.nextBtn.addEventListener('click', () => this.next(), { signal });
+
+    this.playBtn.addEventListener('click', () => {
+      if (this.playing) {
+        this.pause();
+      } else {
+        this.play();
+      }
+    }, { signal });
+
+    // Keyboard navigation
+    this.slideshowEl.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowLeft') this.prev();
+      if (e.key === 'ArrowRight') this.next();
+      if (e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        this.goTo(e.key === 'Home' ? 0 : this.slides.length - 1);
+      }
+      if (e.key === 'Escape' && this.zoom.scale > 1) this.resetZoom();
+      if (e.key === 'Enter' && e.target === this.slideshowEl) this.activate();
+    }, { signal });
+
+    // Swipe, pinch and double-tap
+    this.slideshowEl.addEventListener('pointerdown', (e) => this.onPointerDown(e), { signal });
+    this.slideshowEl.addEventListener('pointermove', (e) => this.onPointerMove(e), { signal });
+    this.slideshowEl.addEventListener('pointerup', (e) => this.onPointerUp(e), { signal });
+    this.slideshowEl.addEventListener('pointercancel', (e) => this.onPointerUp(e), { signal });
+    // Stop the browser's own image drag from hijacking swipes
+    this.slideshowEl.addEventListener('dragstart', (e) => e.preventDefault(), { signal });
+
+    // Hold autoplay while the user is looking at or working with the carousel
+    this.root.addEventListener('mouseenter', () => this.hold('hover', true), { signal });
+    this.root.addEventListener('mouseleave', () => this.hold('hover', false), { signal });
+    this.root.addEventListener('focusin', () => this.hold('focus', true), { signal });
+    this.root.addEventListener('focusout', (e) => {
+      if (!this.root.contains(e.relatedTarget)) this.hold('focus', false);
+    }, { signal });
+    document.addEventListener('visibilitychange', () => {
+      this.hold('hidden', document.hidden);
+    }, { signal });
+  }
+
+  /**
+   * Start autoplay (from the first slide when stopped on the last one)
+   */
+  play() {
+    if (!this.options.autoplay || this.playing) return;
+    this.playing = true;
+    if (!this.options.loop && this.current === this.slides.length - 1) {
+      this.goTo(0);
+    }
+    this.syncAutoplay();
+    this.emit('play');
+  }
+
+  /**
+   * Stop autoplay until play() is called
+   */
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    this.syncAutoplay();
+    this.emit('pause');
+  }
+
+  /**
+   * Add or release a temporary autoplay pause
+   * @param {string} reason - Why autoplay waits, e.g. "hover", "focus", "hidden" or "music"
+   * @param {boolean} active - Whether the pause applies
+   */
+  hold(reason, active) {
+    if (active) {
+      this.holds.add(reason);
     } else {
-      el.classList.remove('active');
+      this.holds.delete(reason);
     }
-  });
-  
-  indicators.forEach((el, index) => {
-    if (index === current) {
-      el.classList.add('active');
-      el.setAttribute('aria-selected', 'true');
+    this.syncAutoplay();
+  }
+
+  /**
+   * Start or suspend the countdown to match the play state and holds
+   */
+  syncAutoplay() {
+    const shouldRun = this.playing && this.holds.size === 0 && this.slides.length > 1;
+
+    if (shouldRun && !this.autoplayTimer) {
+      this.startCountdown();
+    } else if (!shouldRun && this.autoplayTimer) {
+      this.suspendCountdown();
+    }
+
+    // Announce slide changes only when they aren't happening automatically
+    this.slideshowEl.setAttribute('aria-live', this.playing ? 'off' : 'polite');
+    this.playBtn.innerHTML = this.playing ? PAUSE_ICON : PLAY_ICON;
+    this.playBtn.setAttribute('aria-label', t(this.playing ? 'slideshow.pause' : 'slideshow.play'));
+    this.root.classList.toggle('is-playing', this.playing);
+  }
+
+  /**
+   * Run the remaining time to the next slide and animate the progress bar
+   */
+  startCountdown() {
+    const { interval } = this.options;
+    this.timerStartedAt = performance.now();
+    this.autoplayTimer = setTimeout(() => this.advance(), this.timeRemaining);
+
+    this.setProgress(1 - this.timeRemaining / interval);
+    // Commit the start position before transitioning to the end
+    void this.progressBar.offsetWidth;
+    this.progressBar.style.transition = `transform ${this.timeRemaining}ms linear`;
+    this.progressBar.style.transform = 'scaleX(1)';
+  }
+
+  /**
+   * Stop the countdown, keeping the time left so it resumes where it paused
+   */
+  suspendCountdown() {
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    const elapsed = performance.now() - this.timerStartedAt;
+    this.timeRemaining = Math.max(0, this.timeRemaining - elapsed);
+    this.setProgress(1 - this.timeRemaining / this.options.interval);
+  }
+
+  /**
+   * Start a full interval for the current slide
+   */
+  resetCountdown() {
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.timeRemaining = this.options.interval;
+    this.setProgress(0);
+    this.syncAutoplay();
+  }
+
+  /**
+   * Jump the progress bar without animating
+   * @param {number} fraction - Share of the interval elapsed (0-1)
+   */
+  setProgress(fraction) {
+    this.progressBar.style.transition = 'none';
+    this.progressBar.style.transform = `scaleX(${Math.min(1, Math.max(0, fraction))})`;
+  }
+
+  /**
+   * Autoplay step: next slide, wrapping in loop mode and stopping at the end otherwise
+   */
+  advance() {
+    this.autoplayTimer = null;
+    const isLast = this.current === this.slides.length - 1;
+
+    if (isLast && !this.options.loop) {
+      this.timeRemaining = this.options.interval;
+      this.setProgress(0);
+      this.pause();
+      return;
+    }
+
+    this.next();
+  }
+
+  renderSlides() {
+    this.slideshowEl.innerHTML = '';
+    this.slideshowEl.setAttribute('tabindex', '0');
+
+    this.slides.forEach((slide, index) => {
+      const slideEl = document.createElement('div');
+      slideEl.className = 'slide';
+      slideEl.setAttribute('role', 'group');
+      slideEl.setAttribute('aria-roledescription', 'slide');
+      slideEl.setAttribute('aria-label', t('slideshow.slide', { n: index + 1, total: this.slides.length }));
+
+      const type = getSlideType(slide);
+      slideEl.classList.add(`slide--${type}`);
+
+      if (type === 'image' && slide.placeholder) {
+        const placeholder = document.createElement('img');
+        placeholder.className = 'slide-placeholder';
+        placeholder.src = slide.placeholder;
+        placeholder.alt = '';
+        slideEl.appendChild(placeholder);
+      }
+
+      const media = createSlideMedia(slide, { lazy: true });
+      slideEl.appendChild(media);
+      this.bindMedia(media.matches('video, audio') ? media : media.querySelector('audio'));
+
+      const layer = document.createElement('div');
+      layer.className = 'slide-overlay';
+
+      const content = document.createElement('div');
+      content.className = 'slide-content';
+
+      const year = document.createElement('div');
+      year.className = 'slide-year';
+      year.textContent = slide.year;
+
+      const caption = document.createElement('div');
+      caption.className = 'slide-caption';
+      caption.textContent = slide.caption;
+
+      content.appendChild(year);
+      content.appendChild(caption);
+      layer.appendChild(content);
+      slideEl.appendChild(layer);
+
+      if (type === 'image') {
+        slideEl.appendChild(this.createImageError(media));
+        this.bindImage(slideEl, media);
+      }
+
+      this.slideshowEl.appendChild(slideEl);
+    });
+  }
+
+  /**
+   * Track the loading state of a slide image on the slide element
+   * @param {HTMLElement} slideEl - Slide element
+   * @param {HTMLImageElement} img - Lazily created slide image
+   */
+  bindImage(slideEl, img) {
+    const { signal } = this.listeners;
+
+    img.addEventListener('load', () => {
+      slideEl.classList.remove('is-loading', 'has-error');
+      slideEl.classList.add('is-loaded');
+    }, { signal });
+
+    img.addEventListener('error', () => {
+      slideEl.classList.remove('is-loading');
+      slideEl.classList.add('has-error');
+    }, { signal });
+  }
+
+  /**
+   * Error message with a retry button, shown when a slide image fails to load
+   * @param {HTMLImageElement} img - Slide image to retry
+   * @returns {HTMLElement} Error panel
+   */
+  createImageError(img) {
+    const panel = document.createElement('div');
+    panel.className = 'slide-error';
+
+    const message = document.createElement('p');
+    message.className = 'slide-error-message';
+    message.textContent = t('slideshow.loadError');
+
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'slide-retry';
+    retry.textContent = t('common.retry');
+    retry.addEventListener('click', () => {
+      const slideEl = panel.closest('.slide');
+      slideEl.classList.remove('has-error');
+      slideEl.classList.add('is-loading');
+      loadImage(img);
+    }, { signal: this.listeners.signal });
+
+    panel.appendChild(message);
+    panel.appendChild(retry);
+    return panel;
+  }
+
+  /**
+   * Load the active slide's image and its neighbours'; the rest wait until they're close
+   */
+  loadNearbyImages() {
+    const slideEls = this.slideshowEl.querySelectorAll('.slide');
+    const nearby = new Set([this.current, this.neighbourIndex(1), this.neighbourIndex(-1)]);
+
+    nearby.forEach(index => {
+      if (index === null) return;
+      const slideEl = slideEls[index];
+      const img = slideEl && slideEl.querySelector('.slide-image');
+      if (!img || img.hasAttribute('src')) return;
+      slideEl.classList.add('is-loading');
+      loadImage(img);
+    });
+  }
+
+  /**
+   * Hold autoplay while a clip plays and move on as soon as it ends
+   * @param {HTMLMediaElement|null} media - The slide's video or audio element
+   */
+  bindMedia(media) {
+    if (!media) return;
+    const { signal } = this.listeners;
+    const isActive = () => media.closest('.slide') === this.slideshowEl.querySelectorAll('.slide')[this.current];
+
+    media.addEventListener('play', () => {
+      if (isActive()) this.hold('media', true);
+    }, { signal });
+    media.addEventListener('pause', () => {
+      if (isActive()) this.hold('media', false);
+    }, { signal });
+    media.addEventListener('ended', () => {
+      if (!isActive()) return;
+      this.holds.delete('media');
+      if (this.playing && this.holds.size === 0) {
+        clearTimeout(this.autoplayTimer);
+        this.advance();
+      } else {
+        this.syncAutoplay();
+      }
+    }, { signal });
+  }
+
+  /**
+   * Pause clips on inactive slides and start the active video (muted)
+   */
+  syncMedia() {
+    this.holds.delete('media');
+    this.slideshowEl.querySelectorAll('.slide').forEach((el, index) => {
+      const media = el.querySelector('video, audio');
+      if (!media) return;
+
+      if (index !== this.current) {
+        if (!media.paused) media.pause();
+      } else if (media.tagName === 'VIDEO' && !this.reducedMotion) {
+        const attempt = media.play();
+        // Blocked autoplay just leaves the video on its poster with controls
+        if (attempt) attempt.catch(() => {});
+      } else if (!media.paused) {
+        this.holds.add('media');
+      }
+    });
+  }
+
+  renderIndicators() {
+    this.indicatorsEl.innerHTML = '';
+
+    this.slides.forEach((_, index) => {
+      const btn = document.createElement('button');
+      btn.className = 'slide-indicator';
+      btn.setAttribute('role', 'tab');
+      btn.setAttribute('aria-label', t('slideshow.goTo', { n: index + 1 }));
+      btn.addEventListener('click', () => this.goTo(index));
+      this.indicatorsEl.appendChild(btn);
+    });
+  }
+
+  updateUI() {
+    const slideEls = this.slideshowEl.querySelectorAll('.slide');
+    const indicators = this.indicatorsEl.querySelectorAll('.slide-indicator');
+
+    slideEls.forEach((el, index) => {
+      if (index === this.current) {
+        el.classList.add('active');
+      } else {
+        el.classList.remove('active');
+      }
+    });
+
+    indicators.forEach((el, index) => {
+      if (index === this.current) {
+        el.classList.add('active');
+        el.setAttribute('aria-selected', 'true');
+      } else {
+        el.classList.remove('active');
+        el.setAttribute('aria-selected', 'false');
+      }
+    });
+
+    const { loop } = this.options;
+    this.prevBtn.disabled = !loop && this.current === 0;
+    this.nextBtn.disabled = !loop && this.current === this.slides.length - 1;
+
+    this.loadNearbyImages();
+    this.syncMedia();
+  }
+
+  /**
+   * Show a slide and restart the autoplay countdown
+   * @param {number} index - Slide index (clamped to the available slides)
+   */
+  goTo(index) {
+    if (index < 0) index = 0;
+    if (index >= this.slides.length) index = this.slides.length - 1;
+    if (index === this.current) return;
+    if (this.zoom.scale > 1) this.resetZoom();
+    const previous = this.current;
+    this.current = index;
+    this.updateUI();
+    this.resetCountdown();
+    this.emit('change', { index, previous, slide: this.slides[index] });
+  }
+
+  next() {
+    const count = this.slides.length;
+    this.goTo(this.options.loop ? (this.current + 1) % count : this.current + 1);
+  }
+
+  prev() {
+    const count = this.slides.length;
+    this.goTo(this.options.loop ? (this.current - 1 + count) % count : this.current - 1);
+  }
+
+  /**
+   * @param {PointerEvent} e - pointerdown on the slideshow
+   */
+  onPointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    // Media controls and the retry button keep their own pointer handling
+    if (e.target.closest('video, audio, button')) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pointers.size === 2) {
+      this.startPinch();
+      return;
+    }
+    if (this.pointers.size > 2) return;
+
+    this.gesture = {
+      type: 'pending',
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      lastX: e.clientX,
+      lastTime: e.timeStamp,
+      velocity: 0,
+      startZoom: { ...this.zoom }
+    };
+  }
+
+  /**
+   * @param {PointerEvent} e - pointermove on the slideshow
+   */
+  onPointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    const gesture = this.gesture;
+    if (!gesture) return;
+    if (gesture.type === 'pinch') {
+      this.updatePinch();
+      return;
+    }
+    if (gesture.pointerId !== e.pointerId) return;
+
+    const dx = e.clientX - gesture.startX;
+    const dy = e.clientY - gesture.startY;
+
+    if (gesture.type === 'pending') {
+      if (Math.hypot(dx, dy) < DRAG_START) return;
+
+      if (this.zoom.scale > 1) {
+        gesture.type = 'pan';
+      } else if (Math.abs(dx) > Math.abs(dy) && this.slides.length > 1) {
+        gesture.type = 'swipe';
+      } else {
+        // Mostly vertical: let the page scroll
+        this.gesture = null;
+        return;
+      }
+
+      this.finishSettle();
+      this.slideshowEl.setPointerCapture(e.pointerId);
+      this.slideshowEl.classList.add('is-dragging');
+      this.hold('drag', true);
+    }
+
+    // Track the release speed for flicks
+    const elapsed = e.timeStamp - gesture.lastTime;
+    if (elapsed > 0) gesture.velocity = (e.clientX - gesture.lastX) / elapsed;
+    gesture.lastX = e.clientX;
+    gesture.lastTime = e.timeStamp;
+
+    if (gesture.type === 'swipe') {
+      this.dragTo(dx);
     } else {
-      el.classList.remove('active');
-      el.setAttribute('aria-selected', 'false');
+      this.setZoom(this.zoom.scale, gesture.startZoom.x + dx, gesture.startZoom.y + dy);
     }
-  });
-  
-  prevBtn.disabled = current === 0;
-  nextBtn.disabled = current === SLIDES.length - 1;
+  }
+
+  /**
+   * @param {PointerEvent} e - pointerup or pointercancel on the slideshow
+   */
+  onPointerUp(e) {
+    if (!this.pointers.delete(e.pointerId)) return;
+    const gesture = this.gesture;
+    if (!gesture) return;
+
+    if (gesture.type === 'pinch') {
+      if (this.pointers.size > 0) this.pointers.clear();
+      this.gesture = null;
+      this.slideshowEl.classList.remove('is-dragging');
+      this.hold('drag', false);
+      if (this.zoom.scale < 1.05) this.resetZoom();
+      return;
+    }
+
+    if (gesture.pointerId !== e.pointerId) return;
+    this.gesture = null;
+
+    if (gesture.type === 'pending') {
+      if (e.type === 'pointerup') this.handleTap(e);
+      return;
+    }
+
+    this.slideshowEl.classList.remove('is-dragging');
+    this.hold('drag', false);
+    if (gesture.type === 'swipe') {
+      this.finishSwipe(e.clientX - gesture.startX, gesture.velocity);
+    }
+  }
+
+  /**
+   * Index of the slide a swipe in a direction would reveal
+   * @param {number} step - 1 for the next slide, -1 for the previous one
+   * @returns {number|null} Slide index, or null at an end without loop mode
+   */
+  neighbourIndex(step) {
+    const count = this.slides.length;
+    const index = this.current + step;
+    if (this.options.loop) return (index + count) % count;
+    return index >= 0 && index < count ? index : null;
+  }
+
+  /**
+   * Move the active slide and the one being revealed along with the pointer
+   * @param {number} dx - Horizontal distance dragged (px)
+   */
+  dragTo(dx) {
+    const width = this.slideshowEl.clientWidth || 1;
+    const slideEls = this.slideshowEl.querySelectorAll('.slide');
+    const step = dx < 0 ? 1 : -1;
+    const neighbour = this.neighbourIndex(step);
+    const offset = neighbour === null ? dx / EDGE_RESISTANCE : dx;
+
+    slideEls.forEach((el, index) => {
+      if (index === this.current) {
+        el.style.transform = `translateX(${offset}px)`;
+      } else if (index === neighbour) {
+        el.style.opacity = '1';
+        el.style.transform = `translateX(${offset + step * width}px)`;
+      } else {
+        el.style.opacity = '';
+        el.style.transform = '';
+      }
+    });
+  }
+
+  /**
+   * Snap to the revealed slide when the swipe went far or fast enough, otherwise back
+   * @param {number} dx - Horizontal distance dragged (px)
+   * @param {number} velocity - Release speed (px/ms, negative towards the left)
+   */
+  finishSwipe(dx, velocity) {
+    const width = this.slideshowEl.clientWidth || 1;
+    const slideEls = this.slideshowEl.querySelectorAll('.slide');
+    const step = dx < 0 ? 1 : -1;
+    const target = this.neighbourIndex(step);
+    const far = Math.abs(dx) > width * SWIPE_THRESHOLD;
+    const fast = Math.abs(velocity) > SWIPE_VELOCITY && Math.sign(velocity) === Math.sign(dx);
+    const from = slideEls[this.current];
+
+    this.slideshowEl.classList.add('is-settling');
+
+    if (target !== null && (far || fast)) {
+      const to = slideEls[target];
+      this.goTo(target);
+      from.style.opacity = '1';
+      from.style.transform = `translateX(${-step * width}px)`;
+      to.style.transform = 'translateX(0)';
+    } else {
+      from.style.transform = 'translateX(0)';
+      if (target !== null) {
+        slideEls[target].style.transform = `translateX(${step * width}px)`;
+      }
+    }
+
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => this.finishSettle(), SETTLE_DURATION);
+  }
+
+  /**
+   * Drop the inline drag positions once the snap animation is over
+   */
+  finishSettle() {
+    clearTimeout(this.settleTimer);
+    this.settleTimer = null;
+
+    // Clear without transitions so the outgoing slide doesn't fade back in place
+    this.slideshowEl.classList.add('is-dragging');
+    this.slideshowEl.querySelectorAll('.slide').forEach(el => {
+      el.style.opacity = '';
+      el.style.transform = '';
+    });
+    void this.slideshowEl.offsetWidth;
+    this.slideshowEl.classList.remove('is-dragging', 'is-settling');
+  }
+
+  /**
+   * Toggle zoom on a double tap/click, centred on the tapped point.
+   * A single tap on an unzoomed slide activates it once no second tap follows.
+   * @param {PointerEvent} e - pointerup that didn't move
+   */
+  handleTap(e) {
+    const last = this.lastTap;
+    const isDouble = last &&
+      e.timeStamp - last.time < DOUBLE_TAP_DELAY &&
+      Math.hypot(e.clientX - last.x, e.clientY - last.y) < DOUBLE_TAP_DISTANCE;
+
+    if (!isDouble) {
+      this.lastTap = { time: e.timeStamp, x: e.clientX, y: e.clientY };
+      clearTimeout(this.tapTimer);
+      if (this.zoom.scale === 1) {
+        this.tapTimer = setTimeout(() => this.activate(), DOUBLE_TAP_DELAY);
+      }
+      return;
+    }
+
+    this.lastTap = null;
+    clearTimeout(this.tapTimer);
+    if (this.zoom.scale > 1) {
+      this.resetZoom();
+    } else {
+      this.zoomAt(DOUBLE_TAP_ZOOM, e.clientX, e.clientY);
+    }
+  }
+
+  startPinch() {
+    // A second finger turns a swipe in progress into a pinch
+    this.finishSettle();
+    const [a, b] = [...this.pointers.values()];
+    const center = this.relativePoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+
+    this.gesture = {
+      type: 'pinch',
+      distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+      center,
+      startZoom: { ...this.zoom }
+    };
+    this.slideshowEl.classList.add('is-dragging');
+    this.hold('drag', true);
+  }
+
+  updatePinch() {
+    const [a, b] = [...this.pointers.values()];
+    const { distance, center, startZoom } = this.gesture;
+    const scale = startZoom.scale * Math.hypot(a.x - b.x, a.y - b.y) / distance;
+    this.zoomAround(scale, center, startZoom);
+  }
+
+  /**
+   * Zoom the active image so the given screen point stays in place
+   * @param {number} scale - Target zoom
+   * @param {number} clientX - Anchor point (viewport px)
+   * @param {number} clientY - Anchor point (viewport px)
+   */
+  zoomAt(scale, clientX, clientY) {
+    this.zoomAround(scale, this.relativePoint(clientX, clientY), this.zoom);
+  }
+
+  zoomAround(scale, point, from) {
+    const ratio = scale / from.scale;
+    this.setZoom(
+      scale,
+      point.x - (point.x - from.x) * ratio,
+      point.y - (point.y - from.y) * ratio
+    );
+  }
+
+  /**
+   * @param {number} clientX - Viewport x
+   * @param {number} clientY - Viewport y
+   * @returns {{x: number, y: number}} Offset from the centre of the slideshow
+   */
+  relativePoint(clientX, clientY) {
+    const rect = this.slideshowEl.getBoundingClientRect();
+    return {
+      x: clientX - (rect.left + rect.width / 2),
+      y: clientY - (rect.top + rect.height / 2)
+    };
+  }
+
+  /**
+   * Apply a zoom to the active slide image, keeping the image covering the frame
+   * @param {number} scale - Zoom factor (clamped to 1–MAX_ZOOM)
+   * @param {number} x - Horizontal offset (px)
+   * @param {number} y - Vertical offset (px)
+   */
+  setZoom(scale, x, y) {
+    const clamped = Math.min(MAX_ZOOM, Math.max(1, scale));
+    const maxX = (clamped - 1) * this.slideshowEl.clientWidth / 2;
+    const maxY = (clamped - 1) * this.slideshowEl.clientHeight / 2;
+    this.zoom = {
+      scale: clamped,
+      x: Math.min(maxX, Math.max(-maxX, x)),
+      y: Math.min(maxY, Math.max(-maxY, y))
+    };
+
+    const slideEl = this.slideshowEl.querySelectorAll('.slide')[this.current];
+    const img = slideEl && slideEl.querySelector('.slide-image');
+    const zoomed = clamped > 1;
+
+    if (img) {
+      img.style.transform = zoomed
+        ? `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${clamped})`
+        : '';
+    }
+    if (slideEl) slideEl.classList.toggle('is-zoomed', zoomed);
+    this.slideshowEl.classList.toggle('is-zoomed', zoomed);
+    this.hold('zoom', zoomed);
+  }
+
+  resetZoom() {
+    this.setZoom(1, 0, 0);
+  }
+
+  /**
+   * Announce that the current slide was chosen (tap, click or Enter)
+   */
+  activate() {
+    if (this.slides.length === 0) return;
+    this.emit('activate', { index: this.current, slide: this.slides[this.current] });
+  }
+
+  /**
+   * Relabel the controls and slides after a language switch
+   */
+  applyLanguage() {
+    this.slideshowEl.setAttribute('aria-label', this.options.label || t('slideshow.label'));
+    this.prevBtn.setAttribute('aria-label', t('slideshow.previous'));
+    this.nextBtn.setAttribute('aria-label', t('slideshow.next'));
+    this.indicatorsEl.setAttribute('aria-label', t('slideshow.indicators'));
+    this.playBtn.setAttribute('aria-label', t(this.playing ? 'slideshow.pause' : 'slideshow.play'));
+
+    this.indicatorsEl.querySelectorAll('.slide-indicator').forEach((btn, index) => {
+      btn.setAttribute('aria-label', t('slideshow.goTo', { n: index + 1 }));
+    });
+
+    this.slideshowEl.querySelectorAll('.slide').forEach((slideEl, index) => {
+      const slide = this.slides[index];
+      slideEl.setAttribute('aria-label', t('slideshow.slide', { n: index + 1, total: this.slides.length }));
+      slideEl.querySelectorAll('.slide-image, .slide-media').forEach(media => {
+        if (media.tagName === 'IMG') {
+          media.alt = describeSlide(slide);
+        } else {
+          media.setAttribute('aria-label', describeSlide(slide));
+        }
+      });
+      const message = slideEl.querySelector('.slide-error-message');
+      if (message) message.textContent = t('slideshow.loadError');
+      const retry = slideEl.querySelector('.slide-retry');
+      if (retry) retry.textContent = t('common.retry');
+    });
+  }
+
+  /**
+   * Stop timers, remove listeners and clear the rendered slides
+   */
+  destroy() {
+    clearTimeout(this.tapTimer);
+    clearTimeout(this.settleTimer);
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.listeners.abort();
+    this.slideshowEl.innerHTML = '';
+    this.indicatorsEl.innerHTML = '';
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
 }
 
-function goTo(index) {
-  if (index < 0) index = 0;
-  if (index >= SLIDES.length) index = SLIDES.length - 1;
-  if (index === current) return;
-  current = index;
-  updateUI();
+function createControl(className, icon) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = `slide-btn ${className}`;
+  btn.innerHTML = icon;
+  return btn;
 }
 
+// Page slideshow managed by initSlideshow()
+let instance = null;
 
+/**
+ * Initialize the page slideshow
+ * Safe to call again with new slides; the previous instance is destroyed.
+ * A #memories/<n> deep link in the URL opens on slide n.
+ * @param {Object[]} slideData - Slides from the celebration config
+ * @param {Object} settings - Optional `slideshow` section of the config ({ autoplay, interval, loop })
+ * @returns {Slideshow|null} The slideshow instance
+ */
+export function initSlideshow(slideData = [], settings = {}) {
+  if (instance) {
+    instance.destroy();
+    instance = null;
+  }
+
+  const root = document.querySelector('.slideshow-section .slideshow-container');
+  if (!root) {
+    console.warn('Slideshow elements not found');
+    return null;
+  }
+
+  const link = getDeepLink();
+  const slideshow = new Slideshow(root, {
+    slides: slideData,
+    start: link && link.section === 'memories' && link.item ? link.item - 1 : 0,
+    autoplay: settings.autoplay !== false,
+    // The config gives seconds, like trivia.timeLimit
+    interval: settings.interval ? settings.interval * 1000 : AUTOPLAY_INTERVAL,
+    loop: Boolean(settings.loop)
+  });
+
+  // Full-size viewer; closing it leaves the carousel on the last photo viewed
+  const lightbox = new Lightbox({ slides: slideData });
+  slideshow.on('activate', ({ index }) => lightbox.open(index));
+  lightbox.on('open', () => slideshow.hold('lightbox', true));
+  const offClose = lightbox.on('close', ({ index }) => {
+    slideshow.goTo(index);
+    slideshow.hold('lightbox', false);
+  });
+  slideshow.on('destroy', () => {
+    offClose();
+    lightbox.destroy();
+  });
+
+  instance = slideshow;
+  return instance;
+}
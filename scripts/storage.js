@@ -0,0 +1,241 @@
+/**
+ * Guestbook Storage Module
+ * Pluggable backends for reading and submitting wishes, plus a retry queue
+ * for submissions that fail to post
+ * @module storage
+ *
+ * Every adapter implements the same interface:
+ *   list({ signal }): Promise<Object[]> - stored messages; the signal cancels the request
+ *   add(message): Promise<Object>      - persist a message, resolves with the saved copy
+ * A failed add() rejects with an error whose `permanent` flag says retrying
+ * can't help (the backend refused the message, or storage is unavailable).
+ */
+
+/**
+ * Build the adapter described by a guestbook's storage config
+ * @param {Object} storage - { type: 'local' | 'rest', key?, endpoint? }
+ * @param {string} namespace - Default localStorage key suffix (the recipient slug)
+ * @returns {Object|null} Adapter, or null when no storage is configured
+ */
+export function createStorageAdapter(storage, namespace) {
+  if (!storage) return null;
+
+  if (storage.type === 'rest') {
+    return createRestAdapter(storage.endpoint);
+  }
+
+  return createLocalStorageAdapter(storage.key || `guestbook:${namespace}`);
+}
+
+/**
+ * Adapter that keeps wishes in this browser's localStorage
+ * @param {string} key - localStorage key
+ * @returns {Object} Storage adapter
+ */
+export function createLocalStorageAdapter(key) {
+  const read = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('Stored guestbook data is unreadable, starting fresh:', error);
+      return [];
+    }
+  };
+
+  return {
+    async list() {
+      return read();
+    },
+
+    async add(message) {
+      const saved = { ...message, id: message.id || createId() };
+      const messages = read();
+      messages.push(saved);
+      try {
+        localStorage.setItem(key, JSON.stringify(messages));
+      } catch (error) {
+        // Blocked or full storage won't fix itself on a retry
+        error.permanent = true;
+        throw error;
+      }
+      return saved;
+    }
+  };
+}
+
+/**
+ * Adapter that talks to a JSON REST endpoint
+ * GET returns { messages: [...] }, POST accepts a message and returns the saved copy.
+ * @param {string} endpoint - Collection URL, e.g. http://localhost:8787/api/messages
+ * @returns {Object} Storage adapter
+ */
+export function createRestAdapter(endpoint) {
+  return {
+    async list({ signal } = {}) {
+      const response = await fetch(endpoint, { headers: { Accept: 'application/json' }, signal });
+      if (!response.ok) {
+        throw createHttpError('GET', response.status);
+      }
+      const data = await response.json();
+      return Array.isArray(data.messages) ? data.messages : [];
+    },
+
+    async add(message) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(message)
+      });
+      if (!response.ok) {
+        throw createHttpError('POST', response.status);
+      }
+      return response.json();
+    }
+  };
+}
+
+/**
+ * @param {string} method - HTTP method of the failed request
+ * @param {number} status - Response status
+ * @returns {Error} Error flagged `permanent` for client errors (4xx) other than timeouts and rate limits
+ */
+function createHttpError(method, status) {
+  const error = new Error(`Guestbook ${method} failed with status ${status}`);
+  error.status = status;
+  error.permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+  return error;
+}
+
+/**
+ * Queue of submissions waiting to be posted, persisted across reloads
+ * Retries network errors and 5xx responses with exponential backoff, and
+ * immediately when the browser comes back online. Submissions the backend
+ * refuses (see `permanent` above) are dropped and reported to onRejected.
+ * @param {Object} adapter - Storage adapter to post through
+ * @param {Object} options - Queue options
+ * @param {string} options.key - localStorage key for pending submissions
+ * @param {Function} options.onSent - Called with (pending, saved) after a successful retry
+ * @param {Function} options.onRejected - Called with (pending, error) when a submission is dropped
+ * @param {number} options.baseDelay - First retry delay in ms (default: 2000)
+ * @param {number} options.maxDelay - Upper bound for the backoff in ms (default: 60000)
+ * @returns {Object} Queue with enqueue(), pending(), flush() and destroy()
+ */
+export function createRetryQueue(adapter, options = {}) {
+  const { key, onSent = () => {}, onRejected = () => {}, baseDelay = 2000, maxDelay = 60000 } = options;
+  let attempts = 0;
+  let timer = null;
+  let flushing = false;
+
+  const read = () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(key));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const write = (items) => {
+    try {
+      if (items.length === 0) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, JSON.stringify(items));
+      }
+      return true;
+    } catch (error) {
+      console.warn('Could not save the guestbook retry queue:', error);
+      return false;
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (read().length === 0) return;
+    const delay = Math.min(baseDelay * 2 ** attempts, maxDelay);
+    timer = setTimeout(flush, delay);
+  };
+
+  async function flush() {
+    if (flushing) return;
+    flushing = true;
+    clearTimeout(timer);
+
+    try {
+      for (const item of read()) {
+        try {
+          const saved = await adapter.add(stripLocalFields(item));
+          write(read().filter(entry => entry.id !== item.id));
+          onSent(item, saved);
+        } catch (error) {
+          if (error && error.permanent) {
+            // Retrying can't help, and it would hold up everything queued behind it
+            console.warn('Guestbook rejected a queued wish, dropping it:', error);
+            write(read().filter(entry => entry.id !== item.id));
+            onRejected(item, error);
+            continue;
+          }
+          console.warn('Guestbook retry failed, will try again:', error);
+          attempts++;
+          return;
+        }
+      }
+      attempts = 0;
+    } finally {
+      flushing = false;
+      schedule();
+    }
+  }
+
+  const handleOnline = () => flush();
+  window.addEventListener('online', handleOnline);
+
+  schedule();
+
+  return {
+    /**
+     * @param {Object} message - Message that failed to post (must have an id)
+     * @returns {boolean} False when the queue couldn't be stored, so nothing will retry it
+     */
+    enqueue(message) {
+      const queued = write([...read().filter(entry => entry.id !== message.id), message]);
+      schedule();
+      return queued;
+    },
+
+    /**
+     * @returns {Object[]} Submissions still waiting to be posted
+     */
+    pending() {
+      return read();
+    },
+
+    flush,
+
+    destroy() {
+      clearTimeout(timer);
+      window.removeEventListener('online', handleOnline);
+    }
+  };
+}
+
+/**
+ * Drop client-only fields before a message is sent to a backend
+ * @param {Object} message - Message possibly carrying a local id and status
+ * @returns {Object} Message safe to persist
+ */
+export function stripLocalFields(message) {
+  const { status, ...rest } = message;
+  if (typeof rest.id === 'string' && rest.id.startsWith('local-')) {
+    delete rest.id;
+  }
+  return rest;
+}
+
+/**
+ * @returns {string} Client-side id for optimistic inserts
+ */
+export function createId() {
+  return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,135 @@
+/**
+ * Themes Module
+ * Named colour themes switched at runtime from the header theme switcher
+ * @module themes
+ *
+ * Each theme is a `:root[data-theme="…"]` block in main.css; "classic" is the
+ * plain :root palette. The visitor's choice is stored in localStorage. "Auto"
+ * follows prefers-color-scheme, picking the night sky in dark mode.
+ *
+ * A recipient's `theme` overrides (see applyTheme in config.js) tint the
+ * classic theme only, so a picked preset always looks the way it was designed.
+ * The confetti palette is read back from the active CSS variables, so the
+ * confetti always matches the page.
+ */
+
+import { applyTheme } from './config.js';
+import { updateConfig } from './confetti.js';
+import { t } from './i18n.js';
+
+export const THEMES = ['classic', 'pastel', 'night'];
+
+// Follows the system colour scheme
+const AUTO = 'auto';
+
+const DEFAULT_LIGHT = 'classic';
+const DEFAULT_DARK = 'night';
+
+const STORAGE_KEY = 'theme';
+
+// CSS variables the confetti palette is drawn from
+const PALETTE_PROPERTIES = ['accent-color', 'accent-light', 'primary-color', 'success-color', 'focus-color'];
+
+let choice = AUTO;
+let activeTheme = DEFAULT_LIGHT;
+let recipientTheme = {};
+let darkQuery = null;
+
+/**
+ * Fill the header switcher, apply the saved (or system) theme and follow
+ * later system changes while on "Auto"
+ */
+export function initThemes() {
+  choice = loadChoice();
+  darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+  darkQuery.addEventListener('change', () => {
+    if (choice === AUTO) applyActiveTheme();
+  });
+
+  const select = document.getElementById('theme-select');
+  if (select) {
+    select.innerHTML = '';
+    [AUTO, ...THEMES].forEach(id => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.dataset.i18n = `theme.${id}`;
+      option.textContent = t(`theme.${id}`);
+      select.appendChild(option);
+    });
+    select.value = choice;
+    select.addEventListener('change', () => setTheme(select.value));
+  } else {
+    console.warn('Theme switcher not found');
+  }
+
+  applyActiveTheme();
+}
+
+/**
+ * Switch theme and remember the choice
+ * @param {string} id - Theme id from THEMES, or "auto"
+ */
+export function setTheme(id) {
+  if (id !== AUTO && !THEMES.includes(id)) {
+    console.warn(`Unknown theme "${id}"`);
+    return;
+  }
+
+  choice = id;
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    console.warn('Could not save the theme choice:', error);
+  }
+
+  const select = document.getElementById('theme-select');
+  if (select) select.value = id;
+  applyActiveTheme();
+}
+
+/**
+ * Set the current recipient's colour overrides
+ * @param {Object} theme - Map of custom property names to values (config `theme` section)
+ */
+export function setRecipientTheme(theme = {}) {
+  recipientTheme = theme;
+  applyActiveTheme();
+}
+
+/**
+ * @returns {string} Id of the theme on screen (never "auto")
+ */
+export function getActiveTheme() {
+  return activeTheme;
+}
+
+function applyActiveTheme() {
+  if (choice !== AUTO) {
+    activeTheme = choice;
+  } else {
+    activeTheme = darkQuery.matches ? DEFAULT_DARK : DEFAULT_LIGHT;
+  }
+
+  const root = document.documentElement;
+  root.dataset.theme = activeTheme;
+  applyTheme(activeTheme === DEFAULT_LIGHT ? recipientTheme : {});
+
+  const styles = getComputedStyle(root);
+  const colors = PALETTE_PROPERTIES
+    .map(property => styles.getPropertyValue(`--${property}`).trim())
+    .filter(Boolean);
+  if (colors.length > 0) updateConfig({ colors });
+}
+
+/**
+ * @returns {string} Saved theme id, or "auto"
+ */
+function loadChoice() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved === AUTO || THEMES.includes(saved)) return saved;
+  } catch (error) {
+    // Storage can be blocked; fall back to the system scheme
+  }
+  return AUTO;
+}
@@ -0,0 +1,106 @@
+/**
+ * Mock Guestbook Server
+ * Tiny in-memory stand-in for the REST guestbook backend used by storage.js
+ *
+ * Usage:
+ *   node tools/mock-guestbook-server.mjs
+ *   PORT=9000 FAIL_RATE=0.5 node tools/mock-guestbook-server.mjs
+ *
+ * Point a recipient at it with:
+ *   "storage": { "type": "rest", "endpoint": "http://localhost:8787/api/messages" }
+ *
+ * FAIL_RATE (0-1) makes that share of POSTs answer 503 so the retry queue can be exercised.
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const NAME_LIMIT = 40;
+const MESSAGE_LIMIT = 280;
+
+const messages = [];
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Accept'
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > 10_000) {
+        reject(new Error('Body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+
+  if (pathname !== '/api/messages') {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET') {
+    send(res, 200, { messages });
+    return;
+  }
+
+  if (req.method === 'POST') {
+    if (Math.random() < FAIL_RATE) {
+      send(res, 503, { error: 'Simulated outage' });
+      return;
+    }
+
+    let input;
+    try {
+      input = JSON.parse(await readBody(req));
+    } catch (error) {
+      send(res, 400, { error: 'Body must be JSON' });
+      return;
+    }
+
+    const author = typeof input.author === 'string' ? input.author.trim() : '';
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+    if (!author || !text || author.length > NAME_LIMIT || text.length > MESSAGE_LIMIT) {
+      send(res, 422, { error: 'author and text are required and must fit the limits' });
+      return;
+    }
+
+    const saved = {
+      id: randomUUID(),
+      author,
+      text,
+      timestamp: typeof input.timestamp === 'string' ? input.timestamp : new Date().toISOString()
+    };
+    messages.push(saved);
+    send(res, 201, saved);
+    return;
+  }
+
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock guestbook listening on http://localhost:${PORT}/api/messages (fail rate ${FAIL_RATE})`);
+});